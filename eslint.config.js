@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // The project doctor runs in Node
+    files: ['scripts/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
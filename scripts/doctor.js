@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// doctor.js
+// Project doctor: finds the project's files itself and checks the things that break the
+// surprise without breaking the build - recipient assets missing or over budget, CSS that
+// loads late or not at all, keyframes the pages wait for by name that never run.
+//
+//   npm run doctor            readable report
+//   npm run doctor -- --json  { ok, errors, warnings, problems: [{ check, level, message, file?, line? }] }
+//
+// Exits with 1 when there are errors; warnings alone pass.
+
+import { fileURLToPath } from "node:url";
+import { projectFiles } from "./doctor/files.js";
+import { checkStylesheets, checkKeyframes } from "./doctor/css.js";
+import { checkRecipientAssets } from "./doctor/assets.js";
+
+const CHECKS = {
+  assets: checkRecipientAssets,
+  stylesheets: checkStylesheets,
+  keyframes: checkKeyframes,
+};
+
+const USAGE = `Usage: node scripts/doctor.js [--json]
+
+Checks recipient assets (present in public/assets, within size budgets),
+stylesheet loading and the CSS keyframes the pages depend on by name.
+
+  --json   print the results as JSON
+  --help   show this message`;
+
+function run(root) {
+  const project = projectFiles(root);
+  return Object.entries(CHECKS).map(([id, check]) => {
+    const { title, passed, problems } = check(project);
+    return { id, title, passed, problems: problems.map((problem) => ({ check: id, ...problem })) };
+  });
+}
+
+function where({ file, line }) {
+  if (!file) return "";
+  return line ? `${file}:${line}: ` : `${file}: `;
+}
+
+function printReport(results) {
+  console.log("🩺 Project doctor\n");
+  for (const { title, passed, problems } of results) {
+    console.log(`— ${title}`);
+    for (const message of passed) console.log(`  ✅ ${message}`);
+    for (const problem of problems) console.log(`  ${problem.level === "error" ? "❌" : "⚠️ "} ${where(problem)}${problem.message}`);
+    console.log("");
+  }
+}
+
+const args = process.argv.slice(2);
+if (args.includes("--help") || args.includes("-h")) {
+  console.log(USAGE);
+} else {
+  const unknown = args.filter((arg) => arg !== "--json");
+  if (unknown.length) {
+    console.error(`Unknown option: ${unknown.join(" ")}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  const results = run(fileURLToPath(new URL("..", import.meta.url)));
+  const problems = results.flatMap((result) => result.problems);
+  const errors = problems.filter((problem) => problem.level === "error").length;
+  const warnings = problems.length - errors;
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify({ ok: errors === 0, errors, warnings, problems }, null, 2));
+  } else {
+    printReport(results);
+    if (errors) console.log(`❌ ${errors} error(s), ${warnings} warning(s)`);
+    else if (warnings) console.log(`✅ No errors (${warnings} warning(s))`);
+    else console.log("✅ All checks passed");
+  }
+  if (errors) process.exitCode = 1;
+}
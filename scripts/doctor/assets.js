@@ -0,0 +1,91 @@
+// assets.js
+// Recipient config checks: every config parses and validates against the schema, every
+// asset it names is in public/assets, and each file stays inside the size budgets below
+// (big photos and songs are what make the surprise slow to open on a phone).
+
+import { readFileSync, statSync } from "node:fs";
+import { join } from "node:path";
+import { parseRecipientSource } from "../../src/config/parse.js";
+import { RecipientConfigError, mapAssets, validateRecipientConfig } from "../../src/config/schema.js";
+import { audioInfo, imageSize } from "./media.js";
+import { readText } from "./files.js";
+
+const MB = 1024 * 1024;
+
+export const BUDGETS = {
+  image: { maxBytes: 3 * MB, maxEdge: 2560 },
+  audio: { maxBytes: 10 * MB, maxSeconds: 600, maxKbps: 320 },
+  video: { maxBytes: 25 * MB },
+};
+
+/** assetRefs - [{ path, kind, value }] for every asset field set in a validated config */
+function assetRefs(config) {
+  const refs = [];
+  mapAssets(config, (value, { kind, path }) => refs.push({ path, kind, value }));
+  return refs;
+}
+
+const megabytes = (bytes) => `${(bytes / MB).toFixed(1)} MB`;
+
+/** overBudget - what's wrong with a file of `kind`, as a list of messages */
+function overBudget(kind, buffer) {
+  const budget = BUDGETS[kind];
+  const over = [];
+  if (buffer.length > budget.maxBytes) over.push(`is ${megabytes(buffer.length)} (budget ${megabytes(budget.maxBytes)})`);
+  if (kind === "image") {
+    const size = imageSize(buffer);
+    if (!size) return { over, measured: false };
+    if (Math.max(size.width, size.height) > budget.maxEdge) {
+      over.push(`is ${size.width}×${size.height} (budget ${budget.maxEdge}px on the longest edge)`);
+    }
+  } else if (kind === "audio") {
+    const info = audioInfo(buffer);
+    if (!info) return { over, measured: false };
+    if (info.seconds > budget.maxSeconds) over.push(`is ${Math.round(info.seconds)}s long (budget ${budget.maxSeconds}s)`);
+    if (info.kbps > budget.maxKbps) over.push(`is ${Math.round(info.kbps)} kbps (budget ${budget.maxKbps} kbps)`);
+  }
+  return { over, measured: true };
+}
+
+export function checkRecipientAssets(project) {
+  const { root } = project;
+  const passed = [];
+  const problems = [];
+
+  for (const file of project.recipients) {
+    let config;
+    try {
+      config = validateRecipientConfig(parseRecipientSource(file, readText(root, file)), file);
+    } catch (err) {
+      if (!(err instanceof RecipientConfigError)) throw err;
+      for (const issue of err.issues) {
+        problems.push({ level: "error", message: `${issue.path ? `${issue.path}: ` : ""}${issue.message}`, file });
+      }
+      continue;
+    }
+
+    for (const { path, kind, value } of assetRefs(config)) {
+      if (/^(https?:|data:|blob:)/i.test(value)) continue;
+      if (value.startsWith("upload:")) {
+        problems.push({ level: "warning", message: `${path}: "${value}" is a builder upload and only exists in one browser`, file });
+        continue;
+      }
+      const asset = `${project.assetsDir}/${value}`;
+      let buffer;
+      try {
+        if (!statSync(join(root, asset)).isFile()) throw new Error("not a file");
+        buffer = readFileSync(join(root, asset));
+      } catch {
+        problems.push({ level: "error", message: `${path}: "${value}" is not in ${project.assetsDir}`, file });
+        continue;
+      }
+      const { over, measured } = overBudget(kind, buffer);
+      for (const message of over) problems.push({ level: "error", message: `${path}: ${value} ${message}`, file });
+      if (!measured) problems.push({ level: "warning", message: `${path}: couldn't read the ${kind} format of ${value} to check its budget`, file });
+      if (!over.length) passed.push(`${file} ${path}: ${value}`);
+    }
+  }
+  if (!project.recipients.length) problems.push({ level: "warning", message: "no recipient configs in src/recipients" });
+
+  return { title: "Recipient assets", passed, problems };
+}
@@ -0,0 +1,162 @@
+// css.js
+// Stylesheet checks (what the old fix-css-checker.js looked for, on discovered files):
+//  - checkStylesheets: every CSS import resolves, stylesheets load from the entry (not
+//    from components, which flashes unstyled content), none is left unused, index.html
+//    keeps the Tailwind CDN and its <link>s point at real files, and no unknown service
+//    worker could serve stale CSS.
+//  - checkKeyframes: JSX that waits for an animation by name (`e.animationName ===
+//    "lidFlipOpen"`, animationEnd(el, "...")) needs @keyframes of that name that some
+//    rule actually runs; keyframes nothing uses are flagged too.
+// Each returns { title, passed: [messages], problems: [{ level, message, file?, line? }] }.
+
+import { dirname, join, normalize } from "node:path";
+import { exists, lineAt, readText } from "./files.js";
+
+const CSS_IMPORT = /import\s+(?:[^'"`;]*?\s+from\s+)?["'`]([^"'`]+\.css)["'`]/g;
+const ENTRY_SCRIPT = /<script[^>]*type=["']module["'][^>]*src=["']\/?([^"']+)["']/;
+const LINK_TAG = /<link\b[^>]*>/g;
+const TAILWIND_CDN = "cdn.tailwindcss.com";
+// The app's own service worker (src/pwa) is built into /sw.js: network-first pages and a
+// cache versioned per build keep index.html and its stylesheets in step
+const APP_SERVICE_WORKER = "src/pwa/service-worker.js";
+const OTHER_SERVICE_WORKERS = ["public/sw.js", "public/service-worker.js", "src/sw.js"];
+
+function attribute(tag, name) {
+  const match = new RegExp(`\\b${name}=["']([^"']*)["']`).exec(tag);
+  return match ? match[1] : null;
+}
+
+export function checkStylesheets(project) {
+  const { root } = project;
+  const passed = [];
+  const problems = [];
+  const html = project.html ? readText(root, project.html) : "";
+  const entry = ENTRY_SCRIPT.exec(html)?.[1] || "src/main.jsx";
+
+  // CSS imports in the sources
+  const imported = new Set();
+  for (const file of project.sources) {
+    const text = readText(root, file);
+    for (const match of text.matchAll(CSS_IMPORT)) {
+      const spec = match[1];
+      if (!spec.startsWith(".")) continue; // from a package
+      const target = normalize(join(dirname(file), spec)).split("\\").join("/");
+      const line = lineAt(text, match.index);
+      imported.add(target);
+      if (!exists(root, target)) {
+        problems.push({ level: "error", message: `imports ${spec}, which doesn't exist`, file, line });
+      } else if (file !== entry) {
+        problems.push({
+          level: "warning",
+          message: `imports ${spec} from a component; import it in ${entry} so it loads before the first render`,
+          file,
+          line,
+        });
+      }
+    }
+  }
+  for (const style of project.styles) {
+    if (imported.has(style)) passed.push(`${style} is imported`);
+    else problems.push({ level: "warning", message: "stylesheet isn't imported anywhere", file: style });
+  }
+
+  // index.html
+  if (!project.html) {
+    problems.push({ level: "error", message: "index.html is missing" });
+  } else {
+    if (html.includes(TAILWIND_CDN)) passed.push("index.html loads the Tailwind CDN");
+    else problems.push({ level: "error", message: "the Tailwind CDN script is missing (the pages' utility classes come from it)", file: project.html });
+    for (const match of html.matchAll(LINK_TAG)) {
+      const tag = match[0];
+      const rel = attribute(tag, "rel");
+      const href = attribute(tag, "href");
+      if (!href || !["stylesheet", "preload", "icon", "manifest"].includes(rel) || /^(https?:)?\/\//.test(href)) continue;
+      const path = href.replace(/^\//, "");
+      if (exists(root, path) || exists(root, `${project.publicDir}/${path}`)) continue;
+      problems.push({
+        level: "warning",
+        message: `<link rel="${rel}"> points at ${href}, which doesn't exist`,
+        file: project.html,
+        line: lineAt(html, match.index),
+      });
+    }
+  }
+
+  // Service workers
+  if (exists(root, APP_SERVICE_WORKER)) passed.push(`app service worker ${APP_SERVICE_WORKER} (cache versioned per build)`);
+  for (const file of OTHER_SERVICE_WORKERS) {
+    if (exists(root, file)) {
+      problems.push({ level: "warning", message: "unknown service worker; it may serve stale stylesheets", file });
+    }
+  }
+
+  return { title: "Stylesheets", passed, problems };
+}
+
+const KEYFRAMES = /@keyframes\s+([\w-]+)/g;
+const CSS_ANIMATION = /animation(?:-name)?\s*:\s*([^;}]+)/g;
+// Inline styles in JSX: { animation: "name 1s" } / { animationName: "name" }
+const JS_ANIMATION = /animation(?:Name)?\s*:\s*["'`]([^"'`]+)["'`]/g;
+// Code that waits for an animation by name
+const AWAITED = [/animationName\s*[!=]==?\s*["'`]([\w-]+)["'`]/g, /animationEnd\([^()]*?,\s*["'`]([\w-]+)["'`]\s*\)/g];
+
+// Blank out comments (keeping line breaks, so line numbers still match): a usage
+// example in a doc comment isn't a dependency
+function withoutComments(text) {
+  const blank = (comment) => comment.replace(/[^\n]/g, " ");
+  return text.replace(/\/\*[\s\S]*?\*\//g, blank).replace(/(^|\s)(\/\/.*)$/gm, (_, before, comment) => before + blank(comment));
+}
+
+export function checkKeyframes(project) {
+  const { root } = project;
+  const passed = [];
+  const problems = [];
+
+  const defined = new Map(); // name -> [{ file, line }]
+  const animated = new Set(); // names some rule or inline style runs
+  for (const file of project.styles) {
+    const text = withoutComments(readText(root, file));
+    for (const match of text.matchAll(KEYFRAMES)) {
+      const places = defined.get(match[1]) || [];
+      places.push({ file, line: lineAt(text, match.index) });
+      defined.set(match[1], places);
+    }
+    for (const match of text.matchAll(CSS_ANIMATION)) match[1].split(/[\s,]+/).forEach((token) => animated.add(token));
+  }
+
+  const awaited = []; // { name, file, line }
+  const sourceTexts = project.sources.map((file) => ({ file, text: withoutComments(readText(root, file)) }));
+  for (const { file, text } of sourceTexts) {
+    for (const match of text.matchAll(JS_ANIMATION)) match[1].split(/[\s,]+/).forEach((token) => animated.add(token));
+    for (const pattern of AWAITED) {
+      for (const match of text.matchAll(pattern)) awaited.push({ name: match[1], file, line: lineAt(text, match.index) });
+    }
+  }
+
+  for (const { name, file, line } of awaited) {
+    if (!defined.has(name)) {
+      problems.push({ level: "error", message: `waits for animation "${name}" but no @keyframes ${name} exists`, file, line });
+    } else if (!animated.has(name)) {
+      problems.push({ level: "error", message: `waits for animation "${name}" but no rule runs it, so it never ends`, file, line });
+    } else {
+      passed.push(`${file}:${line} waits for ${name}`);
+    }
+  }
+
+  for (const [name, places] of defined) {
+    const [first] = places;
+    if (places.length > 1) {
+      problems.push({
+        level: "warning",
+        message: `@keyframes ${name} is defined ${places.length} times (${places.map((p) => `${p.file}:${p.line}`).join(", ")}); the last one wins`,
+        file: first.file,
+        line: first.line,
+      });
+    }
+    const mentioned = animated.has(name) || sourceTexts.some(({ text }) => new RegExp(`\\b${name}\\b`).test(text));
+    if (!mentioned) problems.push({ level: "warning", message: `@keyframes ${name} is never used`, file: first.file, line: first.line });
+  }
+  passed.unshift(`${defined.size} @keyframes defined`);
+
+  return { title: "Keyframes", passed, problems };
+}
@@ -0,0 +1,54 @@
+// files.js
+// Finds the project's files instead of listing them by hand: sources and stylesheets
+// under src/, recipient configs, index.html and the public/ directory.
+
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { join, relative, sep } from "node:path";
+import { RECIPIENT_EXTENSIONS } from "../../src/config/parse.js";
+
+const SKIPPED_DIRS = new Set(["node_modules", "dist"]);
+
+function walk(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name.startsWith(".") || SKIPPED_DIRS.has(entry.name)) return [];
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? walk(path) : [path];
+  });
+}
+
+// Project-relative, with forward slashes on every platform
+const toProjectPath = (root, path) => relative(root, path).split(sep).join("/");
+
+/**
+ * projectFiles - what the checks look at, as project-relative paths:
+ * { root, sources (.js/.jsx), styles (.css), recipients, html, publicDir, assetsDir }
+ */
+export function projectFiles(root) {
+  const srcFiles = walk(join(root, "src")).map((path) => toProjectPath(root, path));
+  const recipientPattern = new RegExp(`^src/recipients/[^/]+\\.(${RECIPIENT_EXTENSIONS.join("|")})$`);
+  return {
+    root,
+    sources: srcFiles.filter((path) => /\.jsx?$/.test(path)),
+    styles: srcFiles.filter((path) => path.endsWith(".css")),
+    recipients: srcFiles.filter((path) => recipientPattern.test(path)),
+    html: existsSync(join(root, "index.html")) ? "index.html" : null,
+    publicDir: "public",
+    assetsDir: "public/assets",
+  };
+}
+
+export function readText(root, path) {
+  return readFileSync(join(root, path), "utf8");
+}
+
+export function exists(root, path) {
+  return existsSync(join(root, path));
+}
+
+/** lineAt - 1-based line number of `index` in `text` */
+export function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) if (text.charCodeAt(i) === 10) line += 1;
+  return line;
+}
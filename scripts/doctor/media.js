@@ -0,0 +1,130 @@
+// media.js
+// Reads just enough of an image or audio file's header to check it against the size
+// budgets: image dimensions, audio length and bitrate. Works on Node Buffers; formats
+// it can't read give null (the doctor reports those as unmeasured, not broken).
+
+import { readJpegInfo } from "../../src/uploads/image.js";
+
+function arrayBufferOf(buffer) {
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+function startsWith(buffer, text, offset = 0) {
+  return buffer.toString("latin1", offset, offset + text.length) === text;
+}
+
+/** imageSize - { format, width, height } for JPEG, PNG, GIF and WebP, otherwise null. */
+export function imageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { format: "png", width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && startsWith(buffer, "GIF8")) {
+    return { format: "gif", width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && startsWith(buffer, "RIFF") && startsWith(buffer, "WEBP", 8)) {
+    if (startsWith(buffer, "VP8 ", 12)) {
+      return { format: "webp", width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (startsWith(buffer, "VP8L", 12)) {
+      const bits = buffer.readUInt32LE(21);
+      return { format: "webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (startsWith(buffer, "VP8X", 12)) {
+      return { format: "webp", width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+  if (buffer.length >= 4 && buffer.readUInt16BE(0) === 0xffd8) {
+    const { width, height } = readJpegInfo(arrayBufferOf(buffer));
+    return width && height ? { format: "jpeg", width, height } : null;
+  }
+  return null;
+}
+
+// MPEG audio frame headers (ISO 11172-3 / 13818-3), bitrates in kbps
+const MP3_BITRATES = {
+  "1-1": [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  "1-2": [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  "1-3": [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  "2-1": [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  "2-2": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  "2-3": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+function parseMp3Header(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+  const versionBits = (buffer[offset + 1] >> 3) & 3;
+  const layerBits = (buffer[offset + 1] >> 1) & 3;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const rateIndex = (buffer[offset + 2] >> 2) & 3;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  return {
+    version,
+    layer,
+    kbps: MP3_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex],
+    sampleRate: MP3_SAMPLE_RATES[version][rateIndex],
+    samplesPerFrame: layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152,
+    mono: buffer[offset + 3] >> 6 === 3,
+  };
+}
+
+function mp3Info(buffer) {
+  let offset = 0;
+  // Skip an ID3v2 tag (its size is "syncsafe": 7 bits per byte)
+  if (startsWith(buffer, "ID3") && buffer.length > 10) {
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+  }
+  // The first frame header, within a few KB of where it should be
+  const limit = Math.min(buffer.length - 4, offset + 64 * 1024);
+  let header = null;
+  for (; offset < limit; offset++) {
+    header = parseMp3Header(buffer, offset);
+    if (header) break;
+  }
+  if (!header) return null;
+
+  let end = buffer.length;
+  if (end >= 128 && startsWith(buffer, "TAG", end - 128)) end -= 128; // ID3v1
+  const audioBytes = end - offset;
+
+  // VBR files carry a frame count in a Xing/Info (or VBRI) header in the first frame
+  const sideInfo = header.version === 1 ? (header.mono ? 17 : 32) : header.mono ? 9 : 17;
+  let frames = 0;
+  const xing = offset + 4 + sideInfo;
+  if (startsWith(buffer, "Xing", xing) || startsWith(buffer, "Info", xing)) {
+    if (buffer.readUInt32BE(xing + 4) & 1) frames = buffer.readUInt32BE(xing + 8);
+  } else if (startsWith(buffer, "VBRI", offset + 36)) {
+    frames = buffer.readUInt32BE(offset + 36 + 14);
+  }
+  const seconds = frames
+    ? (frames * header.samplesPerFrame) / header.sampleRate
+    : (audioBytes * 8) / (header.kbps * 1000);
+  return { format: "mp3", seconds, kbps: Math.round((audioBytes * 8) / seconds / 1000) };
+}
+
+function wavInfo(buffer) {
+  let byteRate = 0;
+  let dataSize = 0;
+  for (let offset = 12; offset + 8 <= buffer.length; ) {
+    const id = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === "fmt " && offset + 16 <= buffer.length) byteRate = buffer.readUInt32LE(offset + 16);
+    if (id === "data") {
+      dataSize = Math.min(size, buffer.length - offset - 8);
+      break;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  if (!byteRate || !dataSize) return null;
+  return { format: "wav", seconds: dataSize / byteRate, kbps: Math.round((byteRate * 8) / 1000) };
+}
+
+/** audioInfo - { format, seconds, kbps } for MP3 and WAV, otherwise null. */
+export function audioInfo(buffer) {
+  if (buffer.length >= 12 && startsWith(buffer, "RIFF") && startsWith(buffer, "WAVE", 8)) return wavInfo(buffer);
+  return mp3Info(buffer);
+}
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// export.js
+// Single-file export: one self-contained HTML page for one recipient, to email or copy to
+// a USB stick when there's nowhere to host the site. The app is built in "standalone"
+// mode (hash routing, no service worker, only this recipient - see src/main.jsx and
+// src/config/recipients.js) and everything is inlined: the bundle, both stylesheets, the
+// Tailwind utilities in use and the recipient's photo and songs as data: URIs.
+//
+//   npm run export -- <slug | path/to/config.json> [--out file.html] [--max-size 20]
+//
+// Writes dist-export/<slug>.html by default. Exits with 1 (and writes nothing) when the
+// config is invalid, an asset is missing or the page would be over --max-size megabytes.
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { basename, dirname, join, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { build } from "vite";
+import { RECIPIENT_EXTENSIONS, parseRecipientSource } from "../src/config/parse.js";
+import { RecipientConfigError, validateRecipientConfig } from "../src/config/schema.js";
+import { exists, readText } from "./doctor/files.js";
+import { dataUri, embedAssets } from "./export/embed.js";
+import { inlineDocument } from "./export/html.js";
+import { tailwindUtilities } from "./export/tailwind.js";
+
+const MB = 1024 * 1024;
+// Most mail servers refuse attachments over ~25 MB
+const DEFAULT_MAX_SIZE_MB = 20;
+const ICON = "public/vite.svg";
+
+const USAGE = `Usage: node scripts/export.js <slug | config file> [--out <file>] [--max-size <MB>]
+
+Builds one self-contained HTML file for a recipient (src/recipients/<slug>.json|yaml
+or any config file), with the app, its styles and the recipient's media inlined.
+
+  --out <file>      where to write it (default dist-export/<slug>.html)
+  --max-size <MB>   fail when the page is bigger than this (default ${DEFAULT_MAX_SIZE_MB})
+  --help            show this message`;
+
+class ExportError extends Error {}
+
+function parseArgs(argv) {
+  const options = { target: null, out: null, maxSize: DEFAULT_MAX_SIZE_MB, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") options.help = true;
+    else if (arg === "--out") options.out = argv[++i];
+    else if (arg === "--max-size") options.maxSize = Number(argv[++i]);
+    else if (arg.startsWith("-") || options.target) throw new ExportError(`Unexpected argument: ${arg}`);
+    else options.target = arg;
+  }
+  if (!options.help && !options.target) throw new ExportError("Which recipient? Pass a slug or a config file.");
+  if (options.out === undefined) throw new ExportError("--out needs a file name");
+  if (!(options.maxSize > 0)) throw new ExportError("--max-size needs a number of megabytes");
+  return options;
+}
+
+// { slug, file } for a slug in src/recipients or a path to a config file
+function findConfig(root, target) {
+  if (RECIPIENT_EXTENSIONS.some((ext) => target.endsWith(`.${ext}`))) {
+    const file = relative(root, resolve(target));
+    if (!exists(root, file)) throw new ExportError(`${target} doesn't exist`);
+    return { slug: basename(target).replace(/\.(json|ya?ml)$/, ""), file };
+  }
+  for (const ext of RECIPIENT_EXTENSIONS) {
+    const file = `src/recipients/${target}.${ext}`;
+    if (exists(root, file)) return { slug: target, file };
+  }
+  throw new ExportError(`No recipient "${target}" in src/recipients`);
+}
+
+function readRecipient(root, file) {
+  const raw = parseRecipientSource(file, readText(root, file));
+  validateRecipientConfig(raw, file);
+  return raw;
+}
+
+// The app built for one recipient, in memory: { html, files: { "/assets/...": text } }
+async function buildStandalone(root, slug, config) {
+  const result = await build({
+    root,
+    mode: "standalone",
+    logLevel: "warn",
+    define: {
+      "import.meta.env.VITE_DEFAULT_RECIPIENT": JSON.stringify(slug),
+      "import.meta.env.VITE_EXPORT_RECIPIENT": JSON.stringify({ filename: `${slug}.json`, text: JSON.stringify(config) }),
+    },
+    build: {
+      write: false,
+      copyPublicDir: false,
+      modulePreload: false,
+      cssCodeSplit: false,
+      assetsInlineLimit: () => true,
+      rollupOptions: { output: { inlineDynamicImports: true } },
+    },
+  });
+  const output = (Array.isArray(result) ? result[0] : result).output;
+  const files = {};
+  let html = null;
+  for (const item of output) {
+    const text = item.type === "chunk" ? item.code : String(item.source);
+    if (item.fileName === "index.html") html = text;
+    else files[`/${item.fileName}`] = text;
+  }
+  if (!html) throw new ExportError("the build produced no index.html");
+  return { html, files };
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  const root = fileURLToPath(new URL("..", import.meta.url));
+  const { slug, file } = findConfig(root, options.target);
+
+  console.log(`📦 Exporting ${file}\n`);
+  const { config, problems } = embedAssets(root, readRecipient(root, file));
+  for (const problem of problems) console.log(`  ${problem.level === "error" ? "❌" : "⚠️ "} ${problem.message}`);
+  if (problems.some((problem) => problem.level === "error")) throw new ExportError("the recipient's media can't all be embedded");
+
+  const [{ html, files }, tailwind] = await Promise.all([buildStandalone(root, slug, config), tailwindUtilities(root)]);
+  const page = inlineDocument(html, { files, tailwind, icon: exists(root, ICON) ? dataUri(root, ICON) : null });
+
+  const size = Buffer.byteLength(page);
+  const sizeText = `${(size / MB).toFixed(1)} MB`;
+  if (size > options.maxSize * MB) {
+    throw new ExportError(`the page would be ${sizeText}, over the ${options.maxSize} MB ceiling (smaller media, or --max-size)`);
+  }
+
+  const out = options.out || join("dist-export", `${slug}.html`);
+  mkdirSync(dirname(out), { recursive: true });
+  writeFileSync(out, page);
+  console.log(`  ✅ ${out} (${sizeText}) - open it straight from disk, no server needed`);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err instanceof ExportError || err instanceof RecipientConfigError) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  } else {
+    throw err;
+  }
+});
@@ -0,0 +1,62 @@
+// embed.js
+// Turns a recipient config's media into data: URIs, so the exported page needs no server.
+// Plain filenames are read from public/assets; builder uploads can't be exported (they
+// live in one browser's IndexedDB) and absolute URLs are kept, needing a connection.
+
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { mapAssets } from "../../src/config/schema.js";
+import { exists } from "../doctor/files.js";
+
+// By extension; webm depends on the field (audio or video)
+const MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  avif: "image/avif",
+  svg: "image/svg+xml",
+  mp3: "audio/mpeg",
+  ogg: "audio/ogg",
+  wav: "audio/wav",
+  m4a: "audio/mp4",
+  aac: "audio/aac",
+  mp4: "video/mp4",
+};
+
+function mimeType(filename, kind) {
+  const ext = filename.split(".").pop().toLowerCase();
+  if (ext === "webm") return `${kind === "video" ? "video" : "audio"}/webm`;
+  return MIME_TYPES[ext] || "application/octet-stream";
+}
+
+/** dataUri - the file at `path` (project-relative) as a data: URI */
+export function dataUri(root, path, kind) {
+  return `data:${mimeType(path, kind)};base64,${readFileSync(join(root, path)).toString("base64")}`;
+}
+
+/**
+ * embedAssets - `config` with every asset in public/assets replaced by a data: URI.
+ * Returns { config, problems } (problems as in the doctor: { level, message }).
+ */
+export function embedAssets(root, config, assetsDir = "public/assets") {
+  const problems = [];
+  const embedded = mapAssets(config, (value, { kind, path }) => {
+    if (/^data:/i.test(value)) return value;
+    if (/^https?:/i.test(value)) {
+      problems.push({ level: "warning", message: `${path}: ${value} stays a link and needs a connection` });
+      return value;
+    }
+    if (value.startsWith("upload:")) {
+      problems.push({ level: "error", message: `${path}: "${value}" is a builder upload, which only exists in one browser` });
+      return value;
+    }
+    if (!exists(root, `${assetsDir}/${value}`)) {
+      problems.push({ level: "error", message: `${path}: "${value}" is not in ${assetsDir}` });
+      return value;
+    }
+    return dataUri(root, `${assetsDir}/${value}`, kind);
+  });
+  return { config: embedded, problems };
+}
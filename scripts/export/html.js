@@ -0,0 +1,43 @@
+// html.js
+// Folds a Vite build of index.html into one document: the bundle's script and stylesheet
+// inlined, the Tailwind CDN script replaced by the compiled utilities, the favicon as a
+// data: URI, and the links that only make sense on a server (manifest, touch icon) dropped.
+
+const TAILWIND_CDN_SCRIPT = /<script src="https:\/\/cdn\.tailwindcss\.com"><\/script>/;
+const MODULE_SCRIPT = /<script type="module"[^>]*\bsrc="([^"]+)"[^>]*><\/script>/g;
+const STYLESHEET = /<link rel="stylesheet"[^>]*\bhref="([^"]+)"[^>]*>/g;
+const SERVER_LINKS = /\s*<link rel="(?:manifest|apple-touch-icon)"[^>]*>/g;
+const ICON = /(<link rel="icon"[^>]*\bhref=")([^"]+)(")/;
+// Anything still pointing at this site once everything is inlined
+const LOCAL_REFERENCE = /\b(?:src|href)="(\/[^"]*)"/g;
+
+// Inline code mustn't close its element early or open an HTML comment
+const scriptText = (code) => code.replace(/<\/(script)/gi, "<\\/$1").replace(/<!--/g, "<\\!--");
+const styleText = (css) => css.replace(/<\/(style)/gi, "<\\/$1");
+
+/**
+ * inlineDocument - `html` with its resources inlined. `files` maps a bundle URL
+ * ("/assets/index-abc.js") to its text; `tailwind` is the compiled utilities and
+ * `icon` the favicon's data: URI (or null to drop it). Throws when a script or
+ * stylesheet isn't in `files` or a local reference is left over.
+ */
+export function inlineDocument(html, { files, tailwind, icon }) {
+  const fileText = (url) => {
+    if (!(url in files)) throw new Error(`${url} is not part of the build`);
+    return files[url];
+  };
+
+  // The bundle's code goes in last, so nothing below matches inside it
+  let out = html
+    .replace(TAILWIND_CDN_SCRIPT, () => `<style>${styleText(tailwind)}</style>`)
+    .replace(STYLESHEET, (_, url) => `<style>${styleText(fileText(url))}</style>`)
+    .replace(SERVER_LINKS, "");
+  out = icon ? out.replace(ICON, (_, before, url, after) => `${before}${icon}${after}`) : out.replace(/\s*<link rel="icon"[^>]*>/, "");
+  out = out.replace(MODULE_SCRIPT, (_, url) => `<script type="module">${scriptText(fileText(url))}</script>`);
+
+  // Only look at the markup, not the inlined code
+  const markup = out.replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/g, "");
+  const leftover = [...markup.matchAll(LOCAL_REFERENCE)].map((match) => match[1]);
+  if (leftover.length) throw new Error(`still links to ${leftover.join(", ")}`);
+  return out;
+}
@@ -0,0 +1,18 @@
+// tailwind.js
+// The pages get their utility classes from the Tailwind CDN script at runtime. An
+// exported page can't load it, so the utilities the sources actually use are compiled
+// ahead of time with the same Tailwind version and default config the CDN runs.
+
+import postcss from "postcss";
+import tailwindcss from "tailwindcss";
+import { transformWithEsbuild } from "vite";
+
+const INPUT = "@tailwind base;\n@tailwind components;\n@tailwind utilities;\n";
+
+/** tailwindUtilities - minified CSS: Tailwind's base styles plus every utility found in index.html and src/ */
+export async function tailwindUtilities(root) {
+  const plugin = tailwindcss({ content: [`${root}/index.html`, `${root}/src/**/*.{js,jsx}`] });
+  const { css } = await postcss([plugin]).process(INPUT, { from: undefined });
+  const { code } = await transformWithEsbuild(css, "tailwind.css", { loader: "css", minify: true });
+  return code;
+}
@@ -1,23 +1,147 @@
-import React from 'react';
-import { Routes, Route } from 'react-router-dom';
+import React, { useEffect, useMemo, useState } from 'react';
+import { Navigate, Routes, Route, useParams, useSearchParams } from 'react-router-dom';
 import Home from './pages/home.jsx';
 import Celebration from './pages/celebration.jsx';
+import Create from './pages/create.jsx';
+import ConfigError from './pages/config-error.jsx';
+import NotFound from './pages/not-found.jsx';
+import { DEFAULT_RECIPIENT, getRecipient } from './config/recipients.js';
+import { RecipientConfigError, validateRecipientConfig } from './config/schema.js';
+import { celebrationPropsFor, homePropsFor } from './config/props.js';
+import I18nProvider from './i18n/provider.jsx';
+import { resolveLocale } from './i18n/translator.js';
+import ThemeProvider from './themes/provider.jsx';
+import AudioSessionProvider from './audio/provider.jsx';
+import { resolveTheme } from './themes/index.js';
+import { revealInstant } from './lib/time.js';
+import { sharePath, shareStore } from './share/stores.js';
+import { resolveUploads } from './uploads/storage.js';
+import { precacheRecipient } from './pwa/register.js';
 
-export default function App() {
+// Resolve a recipient config. Returns null when there is no config for the
+// slug; schema failures come back as { error } so they render through <ConfigError>.
+function loadRecipient(slug) {
+  try {
+    const recipient = getRecipient(slug);
+    return recipient ? { recipient } : null;
+  } catch (error) {
+    if (error instanceof RecipientConfigError) return { error };
+    throw error;
+  }
+}
+
+/**
+ * RecipientView - renders Home or Celebration for one validated recipient config.
+ * `basePath` is where this recipient's gift page lives ("" for the default
+ * recipient at "/", "/b/<slug>" otherwise); the celebration sits under it.
+ * The locale comes from `?lang=` first, then the config's `locale`; the theme
+ * likewise from `?theme=`, then the config's `theme`.
+ * Until a config's `revealAt` the celebration redirects back to the (locked)
+ * gift; `?preview` lets the organizers through early.
+ */
+function RecipientView({ page, recipient, basePath }) {
+  const [searchParams] = useSearchParams();
+
+  // Keep this recipient's photo and song for offline visits (src/pwa)
+  useEffect(() => {
+    precacheRecipient(recipient);
+  }, [recipient]);
+
+  const preview = searchParams.has('preview');
+  const revealAt = revealInstant(recipient.revealAt, recipient.timezone);
+  if (page === 'celebration' && !preview && revealAt !== null && Date.now() < revealAt) {
+    const search = searchParams.toString();
+    return <Navigate replace to={`${basePath || '/'}${search ? `?${search}` : ''}`} />;
+  }
+
+  const locale = resolveLocale(searchParams.get('lang'), recipient.locale);
+  const theme = resolveTheme(searchParams.get('theme'), recipient.theme);
   return (
-    <Routes>
-      <Route path="/" element={<Home />} />
-      <Route 
-        path="/celebration" 
-        element={
-          <Celebration 
-            friendImageFilename="friend.JPG"
-            friendName="Tushar Mahapure"
-            personalMessage="Wishing you the happiest birthday filled with joy, laughter, and wonderful memories!"
-            birthdaySongFilename="happy-birthday-155461.mp3"
+    <I18nProvider locale={locale}>
+      <ThemeProvider theme={theme.name}>
+        {page === 'celebration' ? (
+          <Celebration key={basePath} {...celebrationPropsFor(recipient)} giftPath={basePath || '/'} />
+        ) : (
+          <Home
+            key={basePath}
+            {...homePropsFor(recipient)}
+            celebrationPath={`${basePath}/celebration`}
+            preview={preview}
           />
-        } 
-      />
-    </Routes>
+        )}
+      </ThemeProvider>
+    </I18nProvider>
+  );
+}
+
+/** RecipientPage - a recipient from src/recipients, by slug. */
+function RecipientPage({ page, slug, isDefault = false }) {
+  const params = useParams();
+  const resolvedSlug = slug ?? params.slug;
+  const result = useMemo(() => loadRecipient(resolvedSlug), [resolvedSlug]);
+
+  if (!result) {
+    // A missing default config is a deployment mistake, not a bad link.
+    if (isDefault) {
+      return (
+        <ConfigError
+          error={new RecipientConfigError(`src/recipients/${resolvedSlug}`, [
+            { path: '', message: 'no config file found (expected .json, .yaml or .yml)' },
+          ])}
+        />
+      );
+    }
+    return <NotFound slug={resolvedSlug} />;
+  }
+  if (result.error) return <ConfigError error={result.error} />;
+
+  return <RecipientView page={page} recipient={result.recipient} basePath={isDefault ? '' : `/b/${resolvedSlug}`} />;
+}
+
+/**
+ * SharedPage - a recipient made in the builder (/create), loaded from a share
+ * store (src/share/stores.js) at /s/<store>/<id>. Files uploaded in the builder
+ * and kept in this browser are swapped for blob: URLs first.
+ */
+function SharedPage({ page }) {
+  const { store: storeName, id } = useParams();
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const store = shareStore(storeName);
+    Promise.resolve(store ? store.load(id) : null)
+      .then(async (raw) => (raw ? { recipient: await resolveUploads(validateRecipientConfig(raw, 'share link')) } : { missing: true }))
+      .catch((error) => ({ error: error.issues ? error : new RecipientConfigError('share link', [{ path: '', message: error.message }]) }))
+      .then((loaded) => {
+        if (!cancelled) setResult(loaded);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storeName, id]);
+
+  if (!result) return <div className="home-root w-full min-h-screen" aria-busy="true" />;
+  if (result.missing) return <NotFound />;
+  if (result.error) return <ConfigError error={result.error} />;
+  return <RecipientView page={page} recipient={result.recipient} basePath={sharePath(shareStore(storeName), id)} />;
+}
+
+// One audio session above the routes, so the song started by the gift tap on Home
+// keeps playing into the celebration (src/audio/session.js).
+export default function App() {
+  return (
+    <AudioSessionProvider>
+      <Routes>
+        <Route path="/" element={<RecipientPage page="home" slug={DEFAULT_RECIPIENT} isDefault />} />
+        <Route path="/celebration" element={<RecipientPage page="celebration" slug={DEFAULT_RECIPIENT} isDefault />} />
+        <Route path="/b/:slug" element={<RecipientPage page="home" />} />
+        <Route path="/b/:slug/celebration" element={<RecipientPage page="celebration" />} />
+        <Route path="/s/:store/:id" element={<SharedPage page="home" />} />
+        <Route path="/s/:store/:id/celebration" element={<SharedPage page="celebration" />} />
+        <Route path="/create" element={<Create />} />
+        <Route path="*" element={<NotFound />} />
+      </Routes>
+    </AudioSessionProvider>
   );
 }
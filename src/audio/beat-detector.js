@@ -0,0 +1,77 @@
+// beat-detector.js
+// Finds beats in the song so the celebration can move with the music.
+//
+//  - BeatDetector: pure energy-based detection. Feed it one frequency spectrum per
+//    frame (Uint8Array from AnalyserNode.getByteFrequencyData) and it reports
+//    whether that frame is a beat: bass energy well above its recent average.
+//  - watchBeats(player, onBeat): polls a SongPlayer's analyser every animation
+//    frame while it plays and calls onBeat(strength).
+
+// Kick drums / bass lines live below this
+const BASS_CUTOFF_HZ = 150;
+// ~0.7s of frames at 60fps to average against
+const HISTORY_FRAMES = 43;
+// A beat is this many times the recent average bass energy...
+const SENSITIVITY = 1.35;
+// ...and at least this loud (0..255), so quiet passages don't flicker
+const MIN_ENERGY = 90;
+// Ignore beats closer together than this (≈ 200 BPM)
+const MIN_INTERVAL_MS = 300;
+
+export class BeatDetector {
+  /**
+   * @param {{ sampleRate: number, fftSize: number }} analyserInfo
+   *   used to work out which spectrum bins hold the bass.
+   */
+  constructor({ sampleRate, fftSize }) {
+    const binHz = sampleRate / fftSize;
+    this.bassBins = Math.max(1, Math.ceil(BASS_CUTOFF_HZ / binHz));
+    this.history = [];
+    this.lastBeatAt = -Infinity;
+  }
+
+  /**
+   * detect - returns the beat strength (energy / average, > 1) for a beat frame,
+   * or 0. `now` is in milliseconds.
+   */
+  detect(spectrum, now) {
+    let sum = 0;
+    // Bin 0 is DC offset, skip it
+    for (let i = 1; i <= this.bassBins; i++) sum += spectrum[i] || 0;
+    const energy = sum / this.bassBins;
+
+    const history = this.history;
+    const average = history.length ? history.reduce((a, b) => a + b, 0) / history.length : energy;
+    history.push(energy);
+    if (history.length > HISTORY_FRAMES) history.shift();
+
+    // Wait for a full history so the song's first frames don't all count as beats
+    if (history.length < HISTORY_FRAMES) return 0;
+    if (energy < MIN_ENERGY || energy < average * SENSITIVITY) return 0;
+    if (now - this.lastBeatAt < MIN_INTERVAL_MS) return 0;
+    this.lastBeatAt = now;
+    return energy / Math.max(average, 1);
+  }
+}
+
+/**
+ * watchBeats - runs a BeatDetector against `player.analyser` (created lazily on the
+ * player's first play) until the returned stop function is called.
+ */
+export function watchBeats(player, onBeat) {
+  let detector = null;
+  let spectrum = null;
+  let frame = requestAnimationFrame(function tick(now) {
+    frame = requestAnimationFrame(tick);
+    const analyser = player.analyser;
+    if (!analyser || player.paused) return;
+    if (!detector) {
+      detector = new BeatDetector({ sampleRate: analyser.context.sampleRate, fftSize: analyser.fftSize });
+      spectrum = new Uint8Array(analyser.frequencyBinCount);
+    }
+    analyser.getByteFrequencyData(spectrum);
+    const strength = detector.detect(spectrum, now);
+    if (strength) onBeat(strength);
+  });
+  return () => cancelAnimationFrame(frame);
+}
@@ -0,0 +1,111 @@
+// blow-detector.js
+// "Blow out the candles" through the microphone.
+//
+//  - BlowDetector: pure detection. Feed it one block of time-domain samples per
+//    frame (Float32Array in -1..1, e.g. AnalyserNode.getFloatTimeDomainData) and it
+//    reports how far along a blow is (0..1). A blow is sustained loud input well above
+//    the room's background noise; claps and single words are too short to count.
+//  - listenForBlow({ onProgress, onBlow }): opens the microphone and runs a
+//    BlowDetector on it every animation frame. Rejects when there is no microphone or
+//    permission is denied, so callers can fall back to tapping.
+
+// Loudness (RMS, 0..1) that always counts as blowing, and never counts below
+const LOUD_RMS = 0.25;
+const MIN_RMS = 0.06;
+// ...otherwise it has to be this many times the background noise
+const NOISE_RATIO = 4;
+// How long the blow has to last
+const SUSTAIN_MS = 500;
+// Short dips (a breath wavering) don't reset it; longer silence does
+const GAP_MS = 150;
+// How quickly the background noise estimate follows quiet frames (0..1 per frame)
+const NOISE_SMOOTHING = 0.05;
+
+export function rms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return samples.length ? Math.sqrt(sum / samples.length) : 0;
+}
+
+export class BlowDetector {
+  constructor() {
+    this.noise = 0;
+    this.startedAt = null;
+    this.lastLoudAt = null;
+    this.blown = false;
+  }
+
+  /** threshold - the RMS a frame needs to count as blowing right now */
+  get threshold() {
+    return Math.min(LOUD_RMS, Math.max(MIN_RMS, this.noise * NOISE_RATIO));
+  }
+
+  /**
+   * detect - returns the progress of the current blow (0..1) for this frame; 1 means
+   * the candles are out, after which `blown` stays true. `now` is in milliseconds.
+   */
+  detect(samples, now) {
+    if (this.blown) return 1;
+    const level = rms(samples);
+
+    if (level >= this.threshold) {
+      if (this.startedAt === null) this.startedAt = now;
+      this.lastLoudAt = now;
+    } else {
+      // Only quiet frames teach us what the room sounds like
+      this.noise += (level - this.noise) * NOISE_SMOOTHING;
+      if (this.startedAt !== null && now - this.lastLoudAt > GAP_MS) {
+        this.startedAt = null;
+        this.lastLoudAt = null;
+      }
+    }
+
+    if (this.startedAt === null) return 0;
+    const progress = Math.min(1, (now - this.startedAt) / SUSTAIN_MS);
+    if (progress === 1) this.blown = true;
+    return progress;
+  }
+}
+
+/**
+ * listenForBlow - resolves with a stop function once the microphone is open; calls
+ * onProgress(0..1) every frame and onBlow() once, then stops by itself.
+ */
+export async function listenForBlow({ onProgress, onBlow }) {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new DOMException("Microphone not available", "NotSupportedError");
+  }
+  const stream = await navigator.mediaDevices.getUserMedia({
+    // The browser's voice processing would squash exactly the noise we listen for
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+  });
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  ctx.createMediaStreamSource(stream).connect(analyser);
+
+  const detector = new BlowDetector();
+  const samples = new Float32Array(analyser.fftSize);
+  let stopped = false;
+  let frame = requestAnimationFrame(function tick(now) {
+    analyser.getFloatTimeDomainData(samples);
+    const progress = detector.detect(samples, now);
+    onProgress?.(progress);
+    if (detector.blown) {
+      stop();
+      onBlow();
+      return;
+    }
+    frame = requestAnimationFrame(tick);
+  });
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    cancelAnimationFrame(frame);
+    stream.getTracks().forEach((track) => track.stop());
+    ctx.close().catch(() => {});
+  }
+  return stop;
+}
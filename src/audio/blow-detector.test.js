@@ -0,0 +1,105 @@
+// blow-detector.test.js
+// BlowDetector on synthetic sample blocks: a blow is loud input held long enough,
+// above the room's noise; short bursts and quiet rooms don't count.
+
+import { describe, expect, it } from "vitest";
+import { BlowDetector, rms } from "./blow-detector.js";
+
+const BLOCK = 1024;
+// One detect() per animation frame
+const FRAME_MS = 16;
+
+// White-ish noise with the given RMS (a seeded generator keeps runs identical)
+function noise(level, seed = 1) {
+  const samples = new Float32Array(BLOCK);
+  let state = seed;
+  for (let i = 0; i < BLOCK; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    samples[i] = state / 1073741824 - 1;
+  }
+  const scale = level / rms(samples);
+  return samples.map((sample) => sample * scale);
+}
+
+const silence = () => new Float32Array(BLOCK);
+
+// Feeds `block` for `ms` starting at `from`; returns { at, progress } of the last frame
+function feed(detector, block, ms, from = 0) {
+  let progress = 0;
+  let at = from;
+  for (; at < from + ms; at += FRAME_MS) progress = detector.detect(block, at);
+  return { at, progress };
+}
+
+describe("rms", () => {
+  it("is 0 for silence and an empty block", () => {
+    expect(rms(silence())).toBe(0);
+    expect(rms(new Float32Array(0))).toBe(0);
+  });
+
+  it("is the amplitude of a full-scale square wave", () => {
+    const square = new Float32Array(BLOCK).map((_, i) => (i % 2 ? 0.5 : -0.5));
+    expect(rms(square)).toBeCloseTo(0.5);
+  });
+
+  it("matches the level the synthetic noise was made with", () => {
+    expect(rms(noise(0.3))).toBeCloseTo(0.3);
+  });
+});
+
+describe("BlowDetector", () => {
+  it("blows the candles out after half a second of loud input", () => {
+    const detector = new BlowDetector();
+    const halfway = feed(detector, noise(0.4), 250);
+    expect(halfway.progress).toBeGreaterThan(0.4);
+    expect(halfway.progress).toBeLessThan(1);
+    expect(detector.blown).toBe(false);
+
+    const { progress } = feed(detector, noise(0.4), 300, halfway.at);
+    expect(progress).toBe(1);
+    expect(detector.blown).toBe(true);
+    // and stays out
+    expect(detector.detect(silence(), 10_000)).toBe(1);
+  });
+
+  it("never counts quiet input", () => {
+    const detector = new BlowDetector();
+    expect(feed(detector, noise(0.03), 3000).progress).toBe(0);
+    expect(detector.blown).toBe(false);
+  });
+
+  it("ignores bursts shorter than the sustain time (a clap, a word)", () => {
+    const detector = new BlowDetector();
+    let at = 0;
+    for (let i = 0; i < 5; i++) {
+      ({ at } = feed(detector, noise(0.5), 200, at));
+      const pause = feed(detector, silence(), 400, at);
+      expect(pause.progress).toBe(0);
+      at = pause.at;
+    }
+    expect(detector.blown).toBe(false);
+  });
+
+  it("rides out short dips in a blow", () => {
+    const detector = new BlowDetector();
+    let { at } = feed(detector, noise(0.4), 300);
+    // a waver shorter than the gap allowance
+    ({ at } = feed(detector, silence(), 96, at));
+    const { progress } = feed(detector, noise(0.4), 250, at);
+    expect(progress).toBe(1);
+  });
+
+  it("needs more than the background noise of a loud room", () => {
+    const detector = new BlowDetector();
+    // A steady hum at 0.05 teaches it the room; the threshold rises to ~4x that
+    let { at } = feed(detector, noise(0.05), 3000);
+    expect(detector.threshold).toBeGreaterThan(0.15);
+
+    // Talking at twice the hum is not a blow...
+    const talk = feed(detector, noise(0.1), 1000, at);
+    expect(talk.progress).toBe(0);
+    at = talk.at;
+    // ...blowing straight into the mic is
+    expect(feed(detector, noise(0.4), 600, at).progress).toBe(1);
+  });
+});
@@ -0,0 +1,11 @@
+// context.js
+// AudioSession context + hook (see session.js). Null outside a provider: pages then
+// manage their own player, as the celebration always did.
+
+import { createContext, useContext } from "react";
+
+export const AudioSessionContext = createContext(null);
+
+export function useAudioSession() {
+  return useContext(AudioSessionContext);
+}
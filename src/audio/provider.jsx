@@ -0,0 +1,12 @@
+// provider.jsx
+// Provides one AudioSession (see useAudioSession) to every route below it.
+
+import React, { useEffect, useState } from "react";
+import { AudioSessionContext } from "./context.js";
+import { AudioSession } from "./session.js";
+
+export default function AudioSessionProvider({ children }) {
+  const [session] = useState(() => new AudioSession());
+  useEffect(() => () => session.dispose(), [session]);
+  return <AudioSessionContext.Provider value={session}>{children}</AudioSessionContext.Provider>;
+}
@@ -0,0 +1,104 @@
+// session.js
+// AudioSession - keeps the celebration song alive across routes, so the gift tap on Home
+// can start it and the celebration can take over the already playing (and loaded) player.
+//
+//   Home:         session.prepare(tracks, options)   // on mount: start loading
+//                 session.prime(tracks, options)     // inside the tap: start playing
+//   Celebration:  const player = session.acquire(tracks, options);
+//                 session.playback(player)           // the prime's outcome, or null
+//                 ...
+//                 session.release(player);           // on unmount
+//
+// A player is only reused for the same tracks and options; anything else gets a fresh
+// one and the old one is disposed. release() disposes on the next tick unless the player
+// is acquired again by then, so a remount (StrictMode, a route change to the same song)
+// keeps the music going.
+
+import { SongPlayer } from "./song-player.js";
+
+function keyFor(tracks, { shuffle = false, crossfade = 3, analyse = false } = {}) {
+  return JSON.stringify({
+    tracks: tracks.map((track) => [track.src, track.start || 0]),
+    shuffle: Boolean(shuffle),
+    crossfade,
+    analyse: Boolean(analyse),
+  });
+}
+
+export class AudioSession {
+  /**
+   * @param {{ createPlayer?: (tracks, options) => SongPlayer }} options
+   *   createPlayer is injectable for tests.
+   */
+  constructor({ createPlayer = (tracks, options) => new SongPlayer(tracks, options) } = {}) {
+    this.createPlayer = createPlayer;
+    // { key, player, playback, releaseTimer }
+    this._entry = null;
+  }
+
+  /** The player for these tracks / options, created (and starting to load) if needed. */
+  prepare(tracks, options) {
+    const key = keyFor(tracks, options);
+    if (this._entry?.key === key) return this._entry.player;
+    this._disposeEntry();
+    const player = this.createPlayer(tracks, options);
+    player.preload = "auto";
+    this._entry = { key, player, playback: null, releaseTimer: null };
+    return player;
+  }
+
+  /**
+   * Start the song at `volume`. Call it synchronously inside a user gesture (the gift
+   * tap): that is what lets it play audibly without a "tap to play" prompt later.
+   */
+  prime(tracks, options, { volume = 1 } = {}) {
+    const player = this.prepare(tracks, options);
+    const entry = this._entry;
+    if (!entry.playback) {
+      player.volume = volume;
+      player.muted = false;
+      entry.playback = Promise.resolve(player.play()).then(
+        () => "playing",
+        () => "blocked"
+      );
+    }
+    return player;
+  }
+
+  /** Take the player for these tracks / options (the primed one when they match). */
+  acquire(tracks, options) {
+    const player = this.prepare(tracks, options);
+    clearTimeout(this._entry.releaseTimer);
+    this._entry.releaseTimer = null;
+    return player;
+  }
+
+  /** Promise of "playing" / "blocked" when `player` was primed, otherwise null. */
+  playback(player) {
+    return this._entry?.player === player ? this._entry.playback : null;
+  }
+
+  /** Give a player back; it is disposed unless acquired again right away. */
+  release(player) {
+    const entry = this._entry;
+    if (entry?.player !== player) {
+      player.dispose();
+      return;
+    }
+    clearTimeout(entry.releaseTimer);
+    entry.releaseTimer = setTimeout(() => {
+      if (this._entry === entry) this._disposeEntry();
+    }, 0);
+  }
+
+  dispose() {
+    this._disposeEntry();
+  }
+
+  _disposeEntry() {
+    if (!this._entry) return;
+    clearTimeout(this._entry.releaseTimer);
+    this._entry.player.dispose();
+    this._entry = null;
+  }
+}
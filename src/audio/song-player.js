@@ -0,0 +1,307 @@
+// song-player.js
+// SongPlayer - plays the celebration song, or a playlist of songs, behind a small
+// HTMLMediaElement-like facade (play/pause, paused, currentTime, duration,
+// volume, muted and the usual media events). The rest of the page (autoplay
+// fallback, AudioPlayer controls, slideshow pacing, video ducking) talks to it
+// exactly like it talked to the old <audio> element.
+//
+//  - One track: loops; every loop restarts at the track's `start` offset.
+//  - Several tracks: plays them in order (or shuffled) and crossfades between
+//    them through the Web Audio API (one gain node per <audio> element).
+//  - `analyse: true` also routes a single same-origin track through Web Audio and
+//    exposes an AnalyserNode (see audio/beat-detector.js).
+
+const FORWARDED_EVENTS = ["play", "pause", "playing", "timeupdate", "durationchange", "loadedmetadata", "seeked", "ended"];
+
+// How long play() waits for a suspended AudioContext before reporting "blocked"
+const RESUME_TIMEOUT_MS = 300;
+const ANALYSER_FFT_SIZE = 1024;
+
+// Web Audio only gets silence from cross-origin media that isn't CORS-enabled, so a
+// lone track is only analysed when it comes from this origin (or a data:/blob: URL).
+function isSameOrigin(src) {
+  try {
+    const url = new URL(src, window.location.href);
+    return url.protocol === "data:" || url.origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
+
+function shuffled(indices, random) {
+  const out = indices.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+export class SongPlayer extends EventTarget {
+  /**
+   * @param {Array<{ src: string, start?: number }>} tracks
+   * @param {{ shuffle?: boolean, crossfade?: number, analyse?: boolean, random?: () => number }} options
+   *   crossfade is in seconds; `random` is injectable for predictable shuffles.
+   */
+  constructor(tracks, { shuffle = false, crossfade = 3, analyse = false, random = Math.random } = {}) {
+    super();
+    this.tracks = tracks;
+    this.shuffle = shuffle;
+    this.crossfade = crossfade;
+    this.random = random;
+    this.multi = tracks.length > 1;
+    // Whether playback goes through the Web Audio graph
+    this.routed = this.multi || (analyse && tracks.every((track) => isSameOrigin(track.src)));
+
+    this._volume = 1;
+    this._muted = false;
+    this._graph = null;
+    this._fadeTimer = null;
+    this._order = this._buildOrder();
+    this._position = 0;
+
+    this._elements = (this.multi ? [0, 1] : [0]).map(() => this._createElement());
+    this._active = 0;
+    this._load(this._elements[0], this._currentTrack());
+    if (this.multi) this._load(this._elements[1], this._peekNextTrack());
+  }
+
+  // --- media element facade ---
+
+  get paused() {
+    return this._el().paused;
+  }
+  get currentTime() {
+    return this._el().currentTime;
+  }
+  set currentTime(value) {
+    this._el().currentTime = value;
+  }
+  get duration() {
+    return this._el().duration;
+  }
+  get volume() {
+    return this._volume;
+  }
+  set volume(value) {
+    this._volume = Math.min(1, Math.max(0, value));
+    this._applyVolume();
+  }
+  get muted() {
+    return this._muted;
+  }
+  set muted(value) {
+    this._muted = Boolean(value);
+    this._elements.forEach((el) => {
+      el.muted = this._muted;
+    });
+  }
+  set preload(value) {
+    this._elements.forEach((el) => {
+      el.preload = value;
+    });
+  }
+
+  /** The AnalyserNode on the mix, or null until the graph exists (first play) / when not routed. */
+  get analyser() {
+    return this._graph ? this._graph.analyser : null;
+  }
+
+  play() {
+    // The AudioContext must be created/resumed synchronously inside a user gesture,
+    // so do it before anything is awaited.
+    const resumed = this.routed ? this._resumeGraph() : null;
+    if (!resumed) return this._el().play();
+    return resumed.then(() => this._el().play());
+  }
+
+  pause() {
+    this._cancelFade();
+    this._elements.forEach((el) => el.pause());
+  }
+
+  dispose() {
+    this.pause();
+    this._elements.forEach((el) => {
+      el.removeAttribute("src");
+      el.load();
+    });
+    if (this._graph) this._graph.ctx.close().catch(() => {});
+    this._graph = null;
+  }
+
+  // --- internals ---
+
+  _el() {
+    return this._elements[this._active];
+  }
+
+  _createElement() {
+    const el = new Audio();
+    el.preload = "auto";
+    // Routing through Web Audio needs CORS-clean media
+    if (this.routed) el.crossOrigin = "anonymous";
+    FORWARDED_EVENTS.forEach((name) => {
+      el.addEventListener(name, () => {
+        // Only the active element speaks for the player; the outgoing track of a
+        // crossfade pausing/ending in the background is not a player event.
+        if (el === this._el()) this.dispatchEvent(new Event(name));
+      });
+    });
+    // Looping is handled here rather than with el.loop so every loop honours `start`
+    el.addEventListener("ended", () => {
+      if (el !== this._el()) return;
+      if (this.multi) {
+        // Only reached with no crossfade (or a track shorter than the crossfade)
+        if (!this._fadeTimer) this._advance();
+        return;
+      }
+      el.currentTime = this._currentTrack().start || 0;
+      el.play().catch(() => {});
+    });
+    el.addEventListener("timeupdate", () => {
+      if (this.multi && el === this._el()) this._maybeCrossfade();
+    });
+    return el;
+  }
+
+  _load(el, track) {
+    el.src = track.src;
+    const start = track.start || 0;
+    if (start > 0) {
+      el.addEventListener(
+        "loadedmetadata",
+        () => {
+          if (el.currentTime < start) el.currentTime = start;
+        },
+        { once: true }
+      );
+    }
+  }
+
+  _buildOrder(avoidFirst) {
+    const indices = this.tracks.map((_, i) => i);
+    if (!this.shuffle) return indices;
+    let order = shuffled(indices, this.random);
+    // Don't play the same song twice in a row across a reshuffle
+    if (order.length > 1 && order[0] === avoidFirst) order = [...order.slice(1), order[0]];
+    return order;
+  }
+
+  _currentTrack() {
+    return this.tracks[this._order[this._position]];
+  }
+
+  _peekNextTrack() {
+    const next = this._position + 1;
+    if (next < this._order.length) return this.tracks[this._order[next]];
+    // Wrapping: settle the next cycle's order now so the preloaded track is the one that plays
+    this._nextOrder = this._buildOrder(this._order[this._position]);
+    return this.tracks[this._nextOrder[0]];
+  }
+
+  _resumeGraph() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null; // no Web Audio: tracks switch without a crossfade
+    if (!this._graph) {
+      const ctx = new AudioContextClass();
+      // elements -> per-element gains (crossfade) -> analyser -> master (volume) -> speakers
+      const master = ctx.createGain();
+      master.connect(ctx.destination);
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = ANALYSER_FFT_SIZE;
+      analyser.connect(master);
+      const gains = this._elements.map((el, i) => {
+        const gain = ctx.createGain();
+        gain.gain.value = i === this._active ? 1 : 0;
+        ctx.createMediaElementSource(el).connect(gain).connect(analyser);
+        return gain;
+      });
+      this._graph = { ctx, master, analyser, gains };
+      this._applyVolume();
+    }
+    const { ctx } = this._graph;
+    if (ctx.state === "running") return Promise.resolve();
+    const resume = ctx.resume();
+    const timeout = new Promise((_, reject) =>
+      setTimeout(() => {
+        if (ctx.state !== "running") reject(new DOMException("AudioContext is suspended", "NotAllowedError"));
+      }, RESUME_TIMEOUT_MS)
+    );
+    return Promise.race([resume, timeout]);
+  }
+
+  _applyVolume() {
+    if (this._graph) {
+      this._graph.master.gain.value = this._volume;
+      this._elements.forEach((el) => {
+        el.volume = 1;
+      });
+    } else {
+      this._elements.forEach((el) => {
+        el.volume = this._volume;
+      });
+    }
+  }
+
+  _maybeCrossfade() {
+    const el = this._el();
+    if (this._fadeTimer || el.paused || !Number.isFinite(el.duration)) return;
+    if (el.duration - el.currentTime <= this.crossfade) this._advance();
+  }
+
+  _advance() {
+    const outgoing = this._el();
+    const outgoingIndex = this._active;
+    const incomingIndex = 1 - this._active;
+    const incoming = this._elements[incomingIndex];
+
+    this._position += 1;
+    if (this._position >= this._order.length) {
+      this._order = this._nextOrder || this._buildOrder(this._order[this._order.length - 1]);
+      this._nextOrder = null;
+      this._position = 0;
+    }
+
+    incoming.muted = this._muted;
+    incoming.play().catch(() => {});
+    this._active = incomingIndex;
+    this.dispatchEvent(new Event("durationchange"));
+
+    const seconds = this._graph ? this.crossfade : 0;
+    if (this._graph) {
+      const now = this._graph.ctx.currentTime;
+      const fadeOut = this._graph.gains[outgoingIndex].gain;
+      const fadeIn = this._graph.gains[incomingIndex].gain;
+      fadeOut.cancelScheduledValues(now);
+      fadeIn.cancelScheduledValues(now);
+      fadeOut.setValueAtTime(fadeOut.value, now);
+      fadeIn.setValueAtTime(0, now);
+      fadeOut.linearRampToValueAtTime(0, now + seconds);
+      fadeIn.linearRampToValueAtTime(1, now + seconds);
+    }
+
+    this._fadeTimer = setTimeout(() => {
+      this._fadeTimer = null;
+      outgoing.pause();
+      // Queue up the following track on the now idle element
+      this._load(outgoing, this._peekNextTrack());
+    }, seconds * 1000);
+  }
+
+  _cancelFade() {
+    if (!this._fadeTimer) return;
+    clearTimeout(this._fadeTimer);
+    this._fadeTimer = null;
+    const idle = this._elements[1 - this._active];
+    idle.pause();
+    this._load(idle, this._peekNextTrack());
+    if (this._graph) {
+      const now = this._graph.ctx.currentTime;
+      this._graph.gains.forEach((g, i) => {
+        g.gain.cancelScheduledValues(now);
+        g.gain.setValueAtTime(i === this._active ? 1 : 0, now);
+      });
+    }
+  }
+}
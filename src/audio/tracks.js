@@ -0,0 +1,23 @@
+// tracks.js
+// The celebration song as SongPlayer tracks (song-player.js), worked out the same way
+// wherever the song is started: on Home during the gift tap, or on the celebration itself.
+
+import { assetUrl } from "../config/assets.js";
+
+export const DEFAULT_SONG = "happy-birthday-155461.mp3";
+// The song's default volume (the celebration's slider starts here)
+export const SONG_VOLUME = 0.6;
+
+/**
+ * songTracks - [{ src, start }] for the song (`filename`, skipping `start` seconds of
+ * intro) followed by the playlist ([{ song, start? }]). Without a filename the playlist
+ * plays on its own; DEFAULT_SONG only stands in when there is neither. An empty
+ * filename means no song.
+ */
+export function songTracks({ filename, start = 0, playlist = [] } = {}) {
+  const song = filename ?? (playlist.length ? null : DEFAULT_SONG);
+  return [
+    ...(song ? [{ src: assetUrl(song), start }] : []),
+    ...playlist.map((item) => ({ src: assetUrl(item.song), start: item.start })),
+  ];
+}
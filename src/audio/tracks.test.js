@@ -0,0 +1,35 @@
+// tracks.test.js
+// songTracks: the song, the playlist after it, and the sample song only as a last resort.
+
+import { describe, expect, it } from "vitest";
+import { DEFAULT_SONG, songTracks } from "./tracks.js";
+
+const PLAYLIST = [{ song: "one.mp3", start: 4 }, { song: "two.mp3" }];
+
+describe("songTracks", () => {
+  it("plays the song, skipping its intro, then the playlist", () => {
+    expect(songTracks({ filename: "main.mp3", start: 12, playlist: PLAYLIST })).toEqual([
+      { src: "/assets/main.mp3", start: 12 },
+      { src: "/assets/one.mp3", start: 4 },
+      { src: "/assets/two.mp3", start: undefined },
+    ]);
+  });
+
+  it("plays just the playlist when there is no song", () => {
+    expect(songTracks({ playlist: PLAYLIST }).map((track) => track.src)).toEqual(["/assets/one.mp3", "/assets/two.mp3"]);
+    expect(songTracks({ filename: null, playlist: PLAYLIST })).toHaveLength(2);
+  });
+
+  it("falls back to the sample song with neither a song nor a playlist", () => {
+    expect(songTracks()).toEqual([{ src: `/assets/${DEFAULT_SONG}`, start: 0 }]);
+    expect(songTracks({ playlist: [] })).toEqual([{ src: `/assets/${DEFAULT_SONG}`, start: 0 }]);
+  });
+
+  it("has no tracks for an empty filename", () => {
+    expect(songTracks({ filename: "" })).toEqual([]);
+  });
+
+  it("passes absolute URLs through", () => {
+    expect(songTracks({ filename: "https://example.com/song.mp3" })[0].src).toBe("https://example.com/song.mp3");
+  });
+});
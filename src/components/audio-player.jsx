@@ -0,0 +1,140 @@
+// audio-player.jsx
+// Visible controls for the celebration song: play/pause, mute, volume, seek, and
+// the "Tap to play" banner shown when the browser blocked autoplay.
+// Playback state is read from the player's own media events, so keyboard
+// shortcuts and the autoplay logic in Celebration stay in sync with the UI.
+//
+// Props:
+//  - audio: the song player (audio/song-player.js, or any media element); null until created
+//  - isMuted / onToggleMute
+//  - volume (0..1) / onVolumeChange
+//  - showPlayPrompt / onPromptPlay: the autoplay-blocked banner
+
+import React, { useEffect, useState } from "react";
+import { useI18n } from "../i18n/context.js";
+
+function formatTime(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return "0:00";
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+function PlayIcon() {
+  return (
+    <svg viewBox="0 0 24 24" width="18" height="18" aria-hidden>
+      <path fill="currentColor" d="M8 5v14l11-7z" />
+    </svg>
+  );
+}
+
+function PauseIcon() {
+  return (
+    <svg viewBox="0 0 24 24" width="18" height="18" aria-hidden>
+      <path fill="currentColor" d="M6 5h4v14H6zM14 5h4v14h-4z" />
+    </svg>
+  );
+}
+
+function SpeakerIcon({ muted }) {
+  return (
+    <svg viewBox="0 0 24 24" width="18" height="18" aria-hidden>
+      <path fill="currentColor" d="M4 9v6h4l5 4V5L8 9H4z" />
+      {muted ? (
+        <path stroke="currentColor" strokeWidth="2" strokeLinecap="round" d="M16 9l5 6M21 9l-5 6" />
+      ) : (
+        <path fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" d="M16 8.5a5 5 0 0 1 0 7M18.5 6a8.5 8.5 0 0 1 0 12" />
+      )}
+    </svg>
+  );
+}
+
+export default function AudioPlayer({ audio, isMuted, onToggleMute, volume, onVolumeChange, showPlayPrompt, onPromptPlay }) {
+  const { t } = useI18n();
+  const [paused, setPaused] = useState(true);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+
+  useEffect(() => {
+    if (!audio) return;
+    const sync = () => {
+      setPaused(audio.paused);
+      setCurrentTime(audio.currentTime);
+      setDuration(Number.isFinite(audio.duration) ? audio.duration : 0);
+    };
+    const events = ["play", "pause", "timeupdate", "durationchange", "loadedmetadata", "seeked", "ended"];
+    events.forEach((name) => audio.addEventListener(name, sync));
+    sync();
+    return () => events.forEach((name) => audio.removeEventListener(name, sync));
+  }, [audio]);
+
+  function togglePlay() {
+    if (!audio) return;
+    if (audio.paused) audio.play().catch(() => {});
+    else audio.pause();
+  }
+
+  function seek(e) {
+    if (audio) audio.currentTime = Number(e.target.value);
+  }
+
+  return (
+    <div className="audio-player w-full max-w-md mx-auto" role="group" aria-label={t("player.label")}>
+      {showPlayPrompt ? (
+        <button type="button" className="play-prompt control-btn" onClick={onPromptPlay}>
+          <PlayIcon />
+          {t("player.tapToPlay")}
+        </button>
+      ) : null}
+
+      <div className="controls player-controls">
+        <button
+          type="button"
+          className="control-btn player-btn"
+          onClick={togglePlay}
+          aria-label={paused ? t("player.play") : t("player.pause")}
+        >
+          {paused ? <PlayIcon /> : <PauseIcon />}
+        </button>
+
+        <input
+          type="range"
+          className="player-seek"
+          min={0}
+          max={duration || 0}
+          step={0.1}
+          value={Math.min(currentTime, duration || 0)}
+          onChange={seek}
+          disabled={!duration}
+          aria-label={t("player.seek")}
+          aria-valuetext={t("player.position", { current: formatTime(currentTime), total: formatTime(duration) })}
+        />
+        <span className="player-time text-xs text-muted-gold" aria-hidden>
+          {formatTime(currentTime)} / {formatTime(duration)}
+        </span>
+
+        <button
+          type="button"
+          className="control-btn player-btn"
+          onClick={onToggleMute}
+          aria-label={isMuted ? t("player.unmute") : t("player.mute")}
+          aria-pressed={isMuted}
+        >
+          <SpeakerIcon muted={isMuted} />
+        </button>
+
+        <input
+          type="range"
+          className="player-volume"
+          min={0}
+          max={1}
+          step={0.05}
+          value={volume}
+          onChange={(e) => onVolumeChange(Number(e.target.value))}
+          aria-label={t("player.volume")}
+          aria-valuetext={`${Math.round(volume * 100)}%`}
+        />
+      </div>
+    </div>
+  );
+}
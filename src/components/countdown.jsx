@@ -0,0 +1,37 @@
+// countdown.jsx
+// The "gift unlocks in" countdown shown on Home before a recipient's `revealAt`.
+//
+// Props:
+//  - remaining: { days, hours, minutes, seconds } from useCountdown (lib/use-countdown.js)
+//  - until: the formatted unlock date (the ticking digits are hidden from screen readers; this line is not)
+
+import React from "react";
+import { useI18n } from "../i18n/context.js";
+
+export default function Countdown({ remaining, until }) {
+  const { t, locale } = useI18n();
+  const twoDigits = new Intl.NumberFormat(locale, { minimumIntegerDigits: 2 });
+  const plain = new Intl.NumberFormat(locale);
+
+  const cells = [
+    { value: plain.format(remaining.days), unit: t("home.unitDays") },
+    { value: twoDigits.format(remaining.hours), unit: t("home.unitHours") },
+    { value: twoDigits.format(remaining.minutes), unit: t("home.unitMinutes") },
+    { value: twoDigits.format(remaining.seconds), unit: t("home.unitSeconds") },
+  ];
+
+  return (
+    <div className="countdown mt-4 sm:mt-6 text-white" role="timer">
+      <div className="text-xs xs:text-sm sm:text-base text-white/80 mb-2">{t("home.locked")}</div>
+      <div className="countdown-cells" aria-hidden>
+        {cells.map((cell) => (
+          <div key={cell.unit} className="countdown-cell">
+            <span className="countdown-value">{cell.value}</span>
+            <span className="countdown-unit">{cell.unit}</span>
+          </div>
+        ))}
+      </div>
+      <div className="text-xs text-white/70 mt-2">{t("home.lockedUntil", { date: until })}</div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+// export-menu.jsx
+// "Save video" / "Save GIF" buttons on the celebration card. They render the reveal
+// into a file (src/export) and download it; a progress line shows while that runs.
+//
+// Props:
+//  - makeScene({ width, height }): Promise of a scene (export/scene.js) at that size
+//  - song: { src, start } for the video's soundtrack, or null
+//  - filename: download name without extension
+
+import React, { useState } from "react";
+import { useI18n } from "../i18n/context.js";
+import { canRecordVideo, recordGif, recordVideo } from "../export/record.js";
+
+// The video is rendered at phone-portrait size; the GIF at half that to stay light
+const VIDEO_SIZE = { width: 720, height: 900 };
+const GIF_SIZE = { width: 360, height: 450 };
+
+function download(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+export default function ExportMenu({ makeScene, song, filename }) {
+  const { t } = useI18n();
+  // null while idle, otherwise { kind, progress } / { error } / { silent } (a video saved without its song)
+  const [job, setJob] = useState(null);
+  const busy = job !== null && !job.error && !job.silent;
+
+  async function run(kind) {
+    setJob({ kind, progress: 0 });
+    const onProgress = (progress) => setJob({ kind, progress });
+    try {
+      if (kind === "video") {
+        const scene = await makeScene(VIDEO_SIZE);
+        let silent = false;
+        const onAudioError = () => (silent = true);
+        download(await recordVideo(scene, { song, onProgress, onAudioError }), `${filename}.webm`);
+        setJob(silent ? { silent: true } : null);
+      } else {
+        const scene = await makeScene(GIF_SIZE);
+        download(await recordGif(scene, { onProgress }), `${filename}.gif`);
+        setJob(null);
+      }
+    } catch {
+      setJob({ error: true });
+    }
+  }
+
+  return (
+    <div className="export-menu mt-3 flex flex-wrap items-center justify-center gap-2 text-xs sm:text-sm">
+      {canRecordVideo() && (
+        <button type="button" className="control-btn" onClick={() => run("video")} disabled={busy}>
+          {t("celebration.exportVideo")}
+        </button>
+      )}
+      <button type="button" className="control-btn" onClick={() => run("gif")} disabled={busy}>
+        {t("celebration.exportGif")}
+      </button>
+      <span className="export-status text-muted-gold" role="status">
+        {busy ? t("celebration.exportProgress", { percent: Math.round(job.progress * 100) }) : null}
+        {job?.error ? t("celebration.exportFailed") : null}
+        {job?.silent ? t("celebration.exportSilent") : null}
+      </span>
+    </div>
+  );
+}
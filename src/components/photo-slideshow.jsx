@@ -0,0 +1,245 @@
+// photo-slideshow.jsx
+// Contents of the celebration `.image-frame`. A single photo renders exactly like
+// before; several photos become a crossfading slideshow with captions, swipe on
+// touch, arrow keys (while focused), dots and autoplay paced to the song.
+//
+// Props:
+//  - slides: [{ src, caption? }] or [{ video, poster?, caption? }] (asset references, see config/assets.js)
+//  - revealed: adds the entrance classes once the reveal choreography starts
+//  - audioRef: the song; slides advance every duration / slides.length seconds of playback
+//  - media: { play(video), release(video), duck(bool) } from Celebration - video slides play through
+//    the page's autoplay fallback and duck the song while playing; the slideshow waits for them to end
+//  - alt: alt text for the photos
+
+import React, { useEffect, useRef, useState } from "react";
+import { assetUrl } from "../config/assets.js";
+import { useI18n } from "../i18n/context.js";
+
+// Used while the song is paused/blocked or its duration is unknown
+const FALLBACK_SLIDE_SECONDS = 5;
+// Never flip faster than this, even for short songs with many photos
+const MIN_SLIDE_SECONDS = 3;
+const SWIPE_THRESHOLD_PX = 40;
+
+/**
+ * VideoSlide - plays while it is the active, revealed slide and pauses otherwise.
+ */
+function VideoSlide({ slide, active, revealed, media, onPlayingChange, onEnded, onError }) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (active && revealed) {
+      media.play(video);
+    } else {
+      video.pause();
+      media.release(video);
+    }
+  }, [active, revealed, media]);
+
+  // Make sure the song is restored if the slide goes away mid-playback
+  useEffect(() => {
+    const video = videoRef.current;
+    return () => {
+      if (video && !video.paused) {
+        video.pause();
+        media.duck(false);
+      }
+      if (video) media.release(video);
+    };
+  }, [media]);
+
+  return (
+    <video
+      ref={videoRef}
+      src={assetUrl(slide.video)}
+      poster={slide.poster ? assetUrl(slide.poster) : undefined}
+      className={`friend-image slide-video w-full block reveal-image ${revealed ? "image-in" : ""}`}
+      controls
+      playsInline
+      preload="metadata"
+      onPlay={() => {
+        media.duck(true);
+        onPlayingChange(true);
+      }}
+      onPause={() => {
+        media.duck(false);
+        onPlayingChange(false);
+      }}
+      onEnded={() => {
+        media.duck(false);
+        onPlayingChange(false);
+        onEnded();
+      }}
+      onError={onError}
+      // Let the native controls work without counting as a tap on the frame (confetti)
+      onClick={(e) => e.stopPropagation()}
+    />
+  );
+}
+
+export default function PhotoSlideshow({ slides, revealed, audioRef, media, alt }) {
+  const { t } = useI18n();
+  const [index, setIndex] = useState(0);
+  const [failed, setFailed] = useState(() => new Set());
+  const touchStart = useRef(null);
+  const swiped = useRef(false);
+  // True while a video greeting plays; autoplay holds the current slide meanwhile
+  const videoPlaying = useRef(false);
+
+  const count = slides.length;
+  const multiple = count > 1;
+
+  function go(step) {
+    setIndex((i) => (i + step + count) % count);
+  }
+
+  // Autoplay: measure elapsed song time while the song plays, wall time otherwise.
+  // `index` is a dependency so manual navigation restarts the countdown.
+  useEffect(() => {
+    if (!multiple) return;
+    let last = null;
+    const timer = setInterval(() => {
+      const audio = audioRef && audioRef.current;
+      if (videoPlaying.current) {
+        last = null;
+        return;
+      }
+      const onSong = Boolean(audio && !audio.paused);
+      const now = onSong ? audio.currentTime : performance.now() / 1000;
+      const perSlide =
+        onSong && Number.isFinite(audio.duration) && audio.duration > 0
+          ? Math.max(MIN_SLIDE_SECONDS, audio.duration / count)
+          : FALLBACK_SLIDE_SECONDS;
+      // (Re)start measuring on first tick, when switching clocks, or when the song loops
+      if (!last || last.onSong !== onSong || now < last.at) {
+        last = { onSong, at: now };
+        return;
+      }
+      if (now - last.at >= perSlide) {
+        last = { onSong, at: now };
+        setIndex((i) => (i + 1) % count);
+      }
+    }, 250);
+    return () => clearInterval(timer);
+  }, [multiple, count, audioRef, index]);
+
+  function onKeyDown(e) {
+    if (e.key !== "ArrowRight" && e.key !== "ArrowLeft") return;
+    e.preventDefault();
+    const rtl = getComputedStyle(e.currentTarget).direction === "rtl";
+    go((e.key === "ArrowRight") !== rtl ? 1 : -1);
+  }
+
+  function onTouchStart(e) {
+    const touch = e.touches[0];
+    touchStart.current = { x: touch.clientX, y: touch.clientY };
+    swiped.current = false;
+  }
+
+  function onTouchEnd(e) {
+    const start = touchStart.current;
+    touchStart.current = null;
+    if (!start) return;
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - start.x;
+    const dy = touch.clientY - start.y;
+    // Horizontal swipes only, so vertical page scrolling still works
+    if (Math.abs(dx) < SWIPE_THRESHOLD_PX || Math.abs(dx) < Math.abs(dy)) return;
+    swiped.current = true;
+    const rtl = getComputedStyle(e.currentTarget).direction === "rtl";
+    go((dx < 0) !== rtl ? 1 : -1);
+  }
+
+  // A swipe should not also count as a tap (tap = confetti on the frame)
+  function onClickCapture(e) {
+    if (swiped.current) {
+      swiped.current = false;
+      e.stopPropagation();
+    }
+  }
+
+  // The slide shows the placeholder instead (missing files are for the doctor to report)
+  function markFailed(i) {
+    setFailed((prev) => new Set(prev).add(i));
+  }
+
+  function renderSlide(slide, i) {
+    const src = assetUrl(slide.video || slide.src);
+    if (failed.has(i)) {
+      return (
+        <div className="image-missing" role="img" aria-label={t("celebration.photoMissingLabel")}>
+          {t("celebration.photoMissing")} <code>{src}</code>
+        </div>
+      );
+    }
+    if (slide.video) {
+      return (
+        <VideoSlide
+          slide={slide}
+          active={i === index}
+          revealed={revealed}
+          media={media}
+          onPlayingChange={(playing) => {
+            videoPlaying.current = playing;
+          }}
+          onEnded={() => {
+            if (multiple) go(1);
+          }}
+          onError={() => markFailed(i)}
+        />
+      );
+    }
+    return (
+      <img
+        src={src}
+        alt={alt}
+        className={`friend-image w-full h-auto object-cover block reveal-image ${revealed ? "image-in" : ""}`}
+        onError={() => markFailed(i)}
+        draggable={false}
+      />
+    );
+  }
+
+  if (!multiple) return slides[0] ? renderSlide(slides[0], 0) : null;
+
+  return (
+    <div
+      className="slideshow"
+      role="group"
+      aria-roledescription={t("celebration.slideshow")}
+      aria-label={t("celebration.slideCounter", { current: index + 1, total: count })}
+      tabIndex={0}
+      onKeyDown={onKeyDown}
+      onTouchStart={onTouchStart}
+      onTouchEnd={onTouchEnd}
+      onClickCapture={onClickCapture}
+    >
+      <div className="slideshow-stage">
+        {slides.map((slide, i) => (
+          <figure key={i} className={`slide ${i === index ? "slide-active" : ""}`} aria-hidden={i !== index}>
+            {renderSlide(slide, i)}
+            {slide.caption ? <figcaption className="slide-caption">{slide.caption}</figcaption> : null}
+          </figure>
+        ))}
+      </div>
+
+      <div className="slideshow-dots">
+        {slides.map((_, i) => (
+          <button
+            key={i}
+            type="button"
+            className={`slideshow-dot ${i === index ? "slideshow-dot-active" : ""}`}
+            aria-label={t("celebration.slideGoto", { n: i + 1 })}
+            aria-current={i === index}
+            onClick={(e) => {
+              e.stopPropagation();
+              setIndex(i);
+            }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
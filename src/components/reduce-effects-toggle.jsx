@@ -0,0 +1,23 @@
+// reduce-effects-toggle.jsx
+// "Reduce effects" switch: turns off confetti, beat effects, the photo tilt and the CSS
+// animations, whatever the system setting says (see usePrefersReducedMotion in lib/motion.js).
+// The choice is remembered in this browser.
+
+import React from "react";
+import { useI18n } from "../i18n/context.js";
+import { setReduceEffects, usePrefersReducedMotion } from "../lib/motion.js";
+
+export default function ReduceEffectsToggle({ className = "" }) {
+  const { t } = useI18n();
+  const reduced = usePrefersReducedMotion();
+  return (
+    <button
+      type="button"
+      className={`reduce-effects-toggle ${className}`}
+      aria-pressed={reduced}
+      onClick={() => setReduceEffects(!reduced)}
+    >
+      {t("effects.reduce")}
+    </button>
+  );
+}
@@ -0,0 +1,42 @@
+// upload-drop.jsx
+// Drop zone for the builder: drag a file onto it, or click / press Enter to pick one.
+// Calls onFile(file) with the first file; what happens to it is up to the caller.
+
+import React, { useState } from "react";
+
+export default function UploadDrop({ accept, label, busy = false, onFile }) {
+  const [over, setOver] = useState(false);
+
+  function take(files) {
+    const file = files && files[0];
+    if (file && !busy) onFile(file);
+  }
+
+  return (
+    <label
+      className={`upload-drop ${over ? "upload-drop-over" : ""} ${busy ? "upload-drop-busy" : ""}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setOver(true);
+      }}
+      onDragLeave={() => setOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setOver(false);
+        take(e.dataTransfer.files);
+      }}
+    >
+      <input
+        type="file"
+        accept={accept}
+        className="sr-only"
+        disabled={busy}
+        onChange={(e) => {
+          take(e.target.files);
+          e.target.value = "";
+        }}
+      />
+      <span aria-live="polite">{busy ? "Processing…" : label}</span>
+    </label>
+  );
+}
@@ -0,0 +1,151 @@
+// wish-carousel.jsx
+// The typed message on the celebration card. With a single wish it looks exactly
+// like the original personal message; with several it types them out one after
+// another and adds prev/next controls, arrow-key navigation (while focused) and a
+// "show all" list view. Screen readers get each wish once it's fully typed, not
+// letter by letter: the typing is hidden from them and a live region reads the result.
+//
+// Props:
+//  - wishes: [{ message, author?, avatar? }]
+//  - started: typing begins once this turns true (driven by the reveal choreography)
+//  - instant: show each wish fully typed right away (the celebration's "Skip intro")
+
+import React, { useEffect, useMemo, useState } from "react";
+import { assetUrl } from "../config/assets.js";
+import { splitGraphemes } from "../lib/graphemes.js";
+import { useI18n } from "../i18n/context.js";
+import { TYPING_INTERVAL_MS } from "../lib/reveal.js";
+
+// How long a fully typed wish stays on screen before the next one starts
+const HOLD_MS = 4000;
+
+function WishAuthor({ wish }) {
+  if (!wish.author) return null;
+  return (
+    <span className="wish-author">
+      {wish.avatar ? <img className="wish-avatar" src={assetUrl(wish.avatar)} alt="" draggable={false} /> : null}
+      <span>— {wish.author}</span>
+    </span>
+  );
+}
+
+export default function WishCarousel({ wishes, started, instant = false }) {
+  const { t, locale } = useI18n();
+  const [index, setIndex] = useState(0);
+  // How much of which wish is typed. Tied to the index so the render that moves to
+  // another wish already starts it from nothing - a reset in an effect would come after
+  // paint, flashing the whole (shorter) wish and announcing it early.
+  const [typed, setTyped] = useState({ index: 0, count: 0 });
+  const [showAll, setShowAll] = useState(false);
+
+  const multiple = wishes.length > 1;
+  const wish = wishes[index] || wishes[0];
+  const chars = useMemo(() => splitGraphemes(wish.message, locale), [wish.message, locale]);
+  const typedCount = instant ? chars.length : typed.index === index ? typed.count : 0;
+  const done = typedCount >= chars.length;
+
+  // Type the current wish one grapheme per tick; restarts whenever the wish changes.
+  useEffect(() => {
+    if (!started || showAll || instant) return;
+    let n = 0;
+    setTyped({ index, count: 0 });
+    const timer = setInterval(() => {
+      n += 1;
+      setTyped({ index, count: n });
+      if (n >= chars.length) clearInterval(timer);
+    }, TYPING_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [started, showAll, instant, chars, index]);
+
+  // Auto-advance to the next wish once the current one has been on screen for a bit
+  useEffect(() => {
+    if (!multiple || !started || showAll || !done) return;
+    const timer = setTimeout(() => setIndex((i) => (i + 1) % wishes.length), HOLD_MS);
+    return () => clearTimeout(timer);
+  }, [multiple, started, showAll, done, wishes.length]);
+
+  function go(step) {
+    setIndex((i) => (i + step + wishes.length) % wishes.length);
+  }
+
+  function onKeyDown(e) {
+    if (!multiple || showAll) return;
+    // Arrow direction follows the reading direction
+    const rtl = getComputedStyle(e.currentTarget).direction === "rtl";
+    if (e.key === "ArrowRight" || e.key === "ArrowLeft") {
+      e.preventDefault();
+      go((e.key === "ArrowRight") !== rtl ? 1 : -1);
+    }
+  }
+
+  if (showAll) {
+    return (
+      <section className="personal-message wish-list-view px-3 sm:px-6 text-sm sm:text-base leading-relaxed text-soft-ink max-w-prose w-full">
+        <ul className="wish-list">
+          {wishes.map((w, i) => (
+            <li key={i} className="wish-list-item">
+              <p className="message-text">{w.message}</p>
+              <WishAuthor wish={w} />
+            </li>
+          ))}
+        </ul>
+        <div className="controls mt-3">
+          <button
+            type="button"
+            className="control-btn"
+            onClick={() => {
+              // Back from the list, the wish types out again from the start
+              setTyped({ index, count: 0 });
+              setShowAll(false);
+            }}
+          >
+            {t("celebration.wishShowOne")}
+          </button>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section
+      className="personal-message px-3 sm:px-6 text-sm sm:text-base leading-relaxed text-soft-ink max-w-prose"
+      {...(multiple
+        ? {
+            role: "group",
+            "aria-roledescription": t("celebration.wishCarousel"),
+            "aria-label": t("celebration.wishCounter", { current: index + 1, total: wishes.length }),
+            tabIndex: 0,
+            onKeyDown,
+          }
+        : {})}
+    >
+      <p className="message-text inline-block" aria-hidden>{chars.slice(0, typedCount).join("")}</p>
+      <span className={`typing-caret ms-1 ${done ? "caret-hidden" : ""}`} aria-hidden />
+      <p className="sr-only" aria-live="polite">
+        {started && done ? wish.message : ""}
+      </p>
+
+      {multiple ? (
+        <>
+          <div className={`wish-byline ${done ? "wish-byline-on" : ""}`}>
+            <WishAuthor wish={wish} />
+          </div>
+          <div className="controls wish-controls mt-3">
+            <button type="button" className="control-btn" onClick={() => go(-1)} aria-label={t("celebration.wishPrev")}>
+              ‹
+            </button>
+            <span className="wish-counter text-xs text-muted-gold" aria-hidden>
+              {index + 1} / {wishes.length}
+            </span>
+            <button type="button" className="control-btn" onClick={() => go(1)} aria-label={t("celebration.wishNext")}>
+              ›
+            </button>
+            <button type="button" className="control-btn" onClick={() => setShowAll(true)}>
+              {t("celebration.wishShowAll")}
+            </button>
+          </div>
+        </>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+// wish-carousel.test.jsx
+// Moving on to another wish starts it from nothing in the very first frame: no flash of
+// the whole text, and the screen-reader announcement only once it's typed.
+
+import React, { Profiler, act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import WishCarousel from "./wish-carousel.jsx";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const WISHES = [
+  { message: "Wishing you a wonderful year ahead!", author: "Ana" },
+  { message: "Cheers!", author: "Ben" },
+];
+
+let container;
+let root;
+// What was on screen after each commit, before any effects ran
+let frames;
+
+function snapshot() {
+  const text = (selector) => container.querySelector(selector)?.textContent ?? null;
+  frames.push({
+    counter: text(".wish-counter"),
+    typed: text(".message-text"),
+    announced: text("[aria-live]"),
+  });
+}
+
+function render(props) {
+  act(() =>
+    root.render(
+      <Profiler id="wishes" onRender={snapshot}>
+        <WishCarousel wishes={WISHES} {...props} />
+      </Profiler>
+    )
+  );
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  container = document.createElement("div");
+  root = createRoot(container);
+  frames = [];
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  vi.useRealTimers();
+});
+
+describe("WishCarousel", () => {
+  it("types the first wish and announces it once it's done", () => {
+    render({ started: true });
+    act(() => vi.advanceTimersByTime(35 * 5));
+    expect(container.querySelector(".message-text").textContent).toBe("Wishi");
+    expect(container.querySelector("[aria-live]").textContent).toBe("");
+
+    act(() => vi.advanceTimersByTime(35 * WISHES[0].message.length));
+    expect(container.querySelector(".message-text").textContent).toBe(WISHES[0].message);
+    expect(container.querySelector("[aria-live]").textContent).toBe(WISHES[0].message);
+  });
+
+  it("doesn't show a shorter next wish as done in its first frame", () => {
+    render({ started: true });
+    // Type the first wish, then let it hold until the carousel moves on
+    for (let i = 0; i < 200; i++) act(() => vi.advanceTimersByTime(35));
+
+    const second = frames.filter((frame) => frame.counter?.startsWith("2"));
+    expect(second.length).toBeGreaterThan(1);
+    expect(second[0].typed).toBe("");
+    expect(second[0].announced).toBe("");
+    // The live region fills once, when typing finishes, and then stays put
+    const announced = second.map((frame) => frame.announced !== "");
+    const firstAnnounced = announced.indexOf(true);
+    expect(second[firstAnnounced].typed).toBe(WISHES[1].message);
+    expect(announced.slice(firstAnnounced).every(Boolean)).toBe(true);
+  });
+
+  it("doesn't flash the whole wish when switching with the buttons", () => {
+    render({ started: true });
+    act(() => vi.advanceTimersByTime(35 * 60));
+    frames = [];
+    act(() => container.querySelectorAll(".wish-controls button")[1].click());
+    expect(frames[0].counter).toMatch(/^2/);
+    expect(frames[0].typed).toBe("");
+  });
+
+  it("shows the whole wish at once with `instant`", () => {
+    render({ started: true, instant: true });
+    expect(frames[0].typed).toBe(WISHES[0].message);
+  });
+});
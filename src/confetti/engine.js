@@ -0,0 +1,178 @@
+// engine.js
+// ConfettiEngine - canvas confetti shared by Home and Celebration.
+//
+// Particles get a launch velocity from a burst origin (the tap point, the gift
+// box, a line along the top of the page...), then fall under gravity with air
+// drag, spin, and flutter. Shapes: rectangles, circles, ribbons, stars and emoji.
+//
+// step(dt) is pure physics driven by the injected `random`, so a scene can be
+// replayed frame by frame; draw() renders the current state. start() runs both
+// on requestAnimationFrame and adapts the particle budget to the measured frame
+// rate so low-end phones shed particles instead of stuttering.
+
+import { drawParticle } from "./shapes.js";
+
+export const DEFAULT_COLORS = ["#fde68a", "#fca5a5", "#93c5fd", "#f0abfc", "#6ee7b7", "#ffd6a5"];
+export const DEFAULT_SHAPES = ["rect", "rect", "ribbon", "circle", "star"];
+
+const GRAVITY = 980; // px/s²
+const DRAG = 1.1; // per second; ribbons catch twice as much air
+const MAX_LIFE_S = 5;
+const FADE_S = 0.6; // fade out over the last part of a particle's life
+
+// Particle budget: start here, never go below MIN / above MAX
+const START_BUDGET = 240;
+const MIN_BUDGET = 40;
+const MAX_BUDGET = 400;
+// Frame times (ms, smoothed) that shrink / grow the budget
+const SLOW_FRAME_MS = 24;
+const FAST_FRAME_MS = 18;
+
+function between(random, [min, max]) {
+  return min + random() * (max - min);
+}
+
+export class ConfettiEngine {
+  /**
+   * @param {{ random?: () => number, colors?: string[], shapes?: string[], budget?: number }} options
+   *   shapes are "rect" | "circle" | "ribbon" | "star" or any emoji string.
+   */
+  constructor({ random = Math.random, colors = DEFAULT_COLORS, shapes = DEFAULT_SHAPES, budget = START_BUDGET } = {}) {
+    this.random = random;
+    this.colors = colors;
+    this.shapes = shapes;
+    this.budget = budget;
+    this.particles = [];
+    this.width = 0;
+    this.height = 0;
+    this.ctx = null;
+    this._frame = null;
+    this._frameMs = 1000 / 60;
+  }
+
+  /** Attach a canvas; width/height are in CSS pixels, the backing store is scaled by `pixelRatio`. */
+  attach(canvas, width, height, pixelRatio = 1) {
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    this.ctx = canvas.getContext("2d");
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * burst - launch particles.
+   *  - x, y: origin in canvas pixels; `spreadX` spawns them along a line of that width instead
+   *  - count: requested particles (trimmed to the remaining budget)
+   *  - angle / spread: launch direction and cone in degrees (-90 = straight up)
+   *  - speed: [min, max] launch speed in px/s
+   * Returns the number of particles actually launched.
+   */
+  burst({ x, y, spreadX = 0, count = 60, angle = -90, spread = 70, speed = [350, 750], colors = this.colors, shapes = this.shapes }) {
+    const n = Math.max(0, Math.min(count, Math.floor(this.budget) - this.particles.length));
+    const random = this.random;
+    for (let i = 0; i < n; i++) {
+      const direction = ((angle + (random() - 0.5) * spread) * Math.PI) / 180;
+      const velocity = between(random, speed);
+      const shape = shapes[Math.floor(random() * shapes.length)];
+      this.particles.push({
+        x: x + (random() - 0.5) * spreadX,
+        y,
+        vx: Math.cos(direction) * velocity,
+        vy: Math.sin(direction) * velocity,
+        rotation: random() * Math.PI * 2,
+        spin: (random() - 0.5) * 12,
+        // phase of the 3D "flip" (drawn as a vertical squash) and flutter
+        tilt: random() * Math.PI * 2,
+        tiltSpeed: 4 + random() * 6,
+        size: shape === "ribbon" ? between(random, [10, 16]) : between(random, [6, 11]),
+        color: colors[Math.floor(random() * colors.length)],
+        shape,
+        drag: shape === "ribbon" ? DRAG * 2 : DRAG,
+        age: 0,
+        life: MAX_LIFE_S - random(),
+      });
+    }
+    if (n && !this._frame && this.ctx) this.start();
+    return n;
+  }
+
+  /** Advance the simulation by `dt` seconds. */
+  step(dt) {
+    const drop = this.height + 40;
+    this.particles = this.particles.filter((p) => {
+      const damping = Math.exp(-p.drag * dt);
+      p.vx *= damping;
+      p.vy = p.vy * damping + GRAVITY * dt;
+      // Flutter: a gentle sideways sway in step with the flip
+      p.x += (p.vx + Math.sin(p.tilt) * 30) * dt;
+      p.y += p.vy * dt;
+      p.rotation += p.spin * dt;
+      p.tilt += p.tiltSpeed * dt;
+      p.age += dt;
+      return p.age < p.life && p.y < drop;
+    });
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    if (!ctx) return;
+    ctx.clearRect(0, 0, this.width, this.height);
+    this.paint(ctx);
+  }
+
+  /**
+   * paint - draw the particles onto any 2D context without clearing it. Exports
+   * (src/export) use this with an unattached engine sized via `resize`, stepping it
+   * themselves so nothing runs on requestAnimationFrame.
+   */
+  paint(ctx) {
+    this.particles.forEach((p) => {
+      ctx.globalAlpha = Math.min(1, (p.life - p.age) / FADE_S);
+      drawParticle(ctx, p);
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  /** Set the simulated area (CSS pixels) without a canvas. */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  start() {
+    let last = null;
+    const tick = (now) => {
+      const dt = last === null ? 1 / 60 : Math.min(0.05, (now - last) / 1000);
+      if (last !== null) this._adaptBudget(now - last);
+      last = now;
+      this.step(dt);
+      this.draw();
+      // Sleep when nothing is left; the next burst restarts the loop
+      this._frame = this.particles.length ? requestAnimationFrame(tick) : null;
+    };
+    this._frame = requestAnimationFrame(tick);
+  }
+
+  stop() {
+    if (this._frame) cancelAnimationFrame(this._frame);
+    this._frame = null;
+  }
+
+  clear() {
+    this.particles = [];
+    if (this.ctx) this.ctx.clearRect(0, 0, this.width, this.height);
+  }
+
+  destroy() {
+    this.stop();
+    this.clear();
+    this.ctx = null;
+  }
+
+  _adaptBudget(frameMs) {
+    this._frameMs = this._frameMs * 0.9 + frameMs * 0.1;
+    if (this._frameMs > SLOW_FRAME_MS) this.budget = Math.max(MIN_BUDGET, this.budget * 0.97);
+    else if (this._frameMs < FAST_FRAME_MS) this.budget = Math.min(MAX_BUDGET, this.budget + 1);
+  }
+}
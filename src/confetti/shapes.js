@@ -0,0 +1,66 @@
+// shapes.js
+// Canvas drawing for a single confetti particle (see engine.js).
+// The particle's `tilt` squashes it vertically so it looks like it flips in 3D.
+
+const EMOJI_FONT = "'Apple Color Emoji', 'Segoe UI Emoji', 'Noto Color Emoji', sans-serif";
+
+function starPath(ctx, radius) {
+  const inner = radius * 0.45;
+  ctx.beginPath();
+  for (let i = 0; i < 10; i++) {
+    const r = i % 2 === 0 ? radius : inner;
+    const a = (i * Math.PI) / 5 - Math.PI / 2;
+    ctx.lineTo(Math.cos(a) * r, Math.sin(a) * r);
+  }
+  ctx.closePath();
+}
+
+export function drawParticle(ctx, p) {
+  const s = p.size;
+  ctx.save();
+  ctx.translate(p.x, p.y);
+  ctx.rotate(p.rotation);
+  ctx.fillStyle = p.color;
+
+  switch (p.shape) {
+    case "rect":
+      ctx.scale(1, Math.cos(p.tilt));
+      ctx.fillRect(-s / 2, -s * 0.8, s, s * 1.6);
+      break;
+    case "circle":
+      ctx.scale(1, Math.cos(p.tilt));
+      ctx.beginPath();
+      ctx.arc(0, 0, s / 2, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+    case "star":
+      ctx.scale(1, 0.6 + 0.4 * Math.cos(p.tilt));
+      starPath(ctx, s * 0.75);
+      ctx.fill();
+      break;
+    case "ribbon": {
+      // A wavy strip whose wave travels with the flutter phase
+      const length = s * 2.4;
+      ctx.strokeStyle = p.color;
+      ctx.lineWidth = s / 3.5;
+      ctx.lineCap = "round";
+      ctx.beginPath();
+      for (let i = 0; i <= 8; i++) {
+        const t = i / 8;
+        const y = (t - 0.5) * length;
+        const x = Math.sin(p.tilt + t * Math.PI * 2) * s * 0.35;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+      break;
+    }
+    default:
+      // Anything else is an emoji / text glyph
+      ctx.font = `${Math.round(s * 2)}px ${EMOJI_FONT}`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(p.shape, 0, 0);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,84 @@
+// use-confetti.js
+// useConfetti - binds a ConfettiEngine (engine.js) to a <canvas> rendered by a page.
+//
+//   const confetti = useConfetti({ disabled: reducedMotion });
+//   <canvas ref={confetti.ref} className="..." aria-hidden />
+//   confetti.burst({ from: element | { clientX, clientY }, count: 80 });
+//
+// The canvas follows its CSS size (ResizeObserver) at the device pixel ratio.
+// `from` is given in viewport coordinates - an element bursts from its center,
+// a pointer event / { clientX, clientY } from that point; the remaining options
+// go to ConfettiEngine.burst. `rain(options)` drops confetti along the top edge;
+// `clear()` removes whatever is still falling.
+
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import { ConfettiEngine, DEFAULT_COLORS } from "./engine.js";
+
+export function useConfetti({ disabled = false, colors = DEFAULT_COLORS } = {}) {
+  const engineRef = useRef(null);
+  const canvasRef = useRef(null);
+  const optionsRef = useRef({ disabled, colors });
+
+  useEffect(() => {
+    optionsRef.current = { disabled, colors };
+    if (engineRef.current) engineRef.current.colors = colors;
+    if (disabled && engineRef.current) engineRef.current.clear();
+  }, [disabled, colors]);
+
+  // Callback ref: one engine per mounted canvas, torn down with it
+  const ref = useCallback((canvas) => {
+    if (!canvas) return;
+    const engine = new ConfettiEngine({ colors: optionsRef.current.colors });
+    engineRef.current = engine;
+    canvasRef.current = canvas;
+    const observer = new ResizeObserver(() => {
+      const rect = canvas.getBoundingClientRect();
+      engine.attach(canvas, rect.width, rect.height, window.devicePixelRatio || 1);
+    });
+    observer.observe(canvas);
+    return () => {
+      observer.disconnect();
+      engine.destroy();
+      engineRef.current = null;
+      canvasRef.current = null;
+    };
+  }, []);
+
+  const burst = useCallback(({ from, ...options } = {}) => {
+    const engine = engineRef.current;
+    const canvas = canvasRef.current;
+    if (!engine || !canvas || optionsRef.current.disabled) return 0;
+    const bounds = canvas.getBoundingClientRect();
+    let x = bounds.width / 2;
+    let y = bounds.height / 2;
+    if (from && typeof from.getBoundingClientRect === "function") {
+      const rect = from.getBoundingClientRect();
+      x = rect.left + rect.width / 2 - bounds.left;
+      y = rect.top + rect.height / 2 - bounds.top;
+    } else if (from && Number.isFinite(from.clientX)) {
+      x = from.clientX - bounds.left;
+      y = from.clientY - bounds.top;
+    }
+    return engine.burst({ x, y, ...options });
+  }, []);
+
+  const rain = useCallback((options = {}) => {
+    const engine = engineRef.current;
+    if (!engine || optionsRef.current.disabled) return 0;
+    return engine.burst({
+      x: engine.width / 2,
+      y: -10,
+      spreadX: engine.width,
+      angle: 90,
+      spread: 40,
+      speed: [60, 220],
+      ...options,
+    });
+  }, []);
+
+  const clear = useCallback(() => {
+    engineRef.current?.clear();
+  }, []);
+
+  return useMemo(() => ({ ref, burst, rain, clear }), [ref, burst, rain, clear]);
+}
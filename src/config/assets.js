@@ -0,0 +1,9 @@
+// assets.js
+// Resolves asset references from recipient configs to URLs.
+// Plain filenames live in public/assets; absolute URLs are passed through.
+
+export function assetUrl(ref) {
+  if (!ref) return "";
+  if (/^(https?:|data:|blob:)/i.test(ref)) return ref;
+  return `/assets/${ref}`;
+}
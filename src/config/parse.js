@@ -0,0 +1,22 @@
+// parse.js
+// Reads recipient config files (JSON or YAML). Free of browser/Vite APIs, like
+// schema.js, so Node scripts (scripts/doctor.js, the build) read configs the same way.
+
+import YAML from "yaml";
+import { RecipientConfigError } from "./schema.js";
+
+// The extensions a recipient config may have, in order of preference
+export const RECIPIENT_EXTENSIONS = ["json", "yaml", "yml"];
+
+/**
+ * parseRecipientSource - parse JSON or YAML text by filename extension.
+ * Syntax errors are rethrown as RecipientConfigError so they render like
+ * schema errors.
+ */
+export function parseRecipientSource(filename, text) {
+  try {
+    return filename.endsWith(".json") ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new RecipientConfigError(filename, [{ path: "", message: `could not be parsed: ${err.message}` }]);
+  }
+}
@@ -0,0 +1,50 @@
+// props.js
+// Maps a validated recipient config onto the props Home and Celebration take,
+// so the page components stay usable without a config (e.g. in previews).
+
+import { ageFromDate } from "../lib/text.js";
+import { revealInstant } from "../lib/time.js";
+
+function ageFor(recipient) {
+  return recipient.age ?? ageFromDate(recipient.date);
+}
+
+export function homePropsFor(recipient) {
+  return {
+    friendName: recipient.name,
+    senderName: recipient.sender,
+    age: ageFor(recipient),
+    tagline: recipient.tagline,
+    revealAt: revealInstant(recipient.revealAt, recipient.timezone),
+    revealTimeZone: recipient.timezone,
+    opener: recipient.opener,
+    // Started on Home by the gift tap (see src/audio/session.js)
+    song: {
+      filename: recipient.song,
+      start: recipient.songStart,
+      playlist: recipient.playlist,
+      shuffle: recipient.shuffle,
+      crossfade: recipient.crossfade,
+    },
+  };
+}
+
+export function celebrationPropsFor(recipient) {
+  return {
+    // A gallery-only config has no photo; null keeps Celebration's sample photo out of the slides
+    friendImageFilename: recipient.photo ?? null,
+    friendName: recipient.name,
+    senderName: recipient.sender,
+    age: ageFor(recipient),
+    personalMessage: recipient.message,
+    birthdaySongFilename: recipient.song,
+    songStart: recipient.songStart,
+    playlist: recipient.playlist,
+    shuffle: recipient.shuffle,
+    crossfade: recipient.crossfade,
+    heading: recipient.heading,
+    attribution: recipient.attribution,
+    wishes: recipient.wishes,
+    gallery: recipient.gallery,
+  };
+}
@@ -0,0 +1,45 @@
+// props.test.js
+// Mapping validated recipient configs onto Home / Celebration props.
+
+import { describe, expect, it } from "vitest";
+import { validateRecipientConfig } from "./schema.js";
+import { celebrationPropsFor, homePropsFor } from "./props.js";
+import { songTracks } from "../audio/tracks.js";
+import { recipientAssetUrls } from "../pwa/assets.js";
+
+const BASE = { name: "Asha", message: "Happy birthday!", song: "song.mp3" };
+
+describe("celebrationPropsFor", () => {
+  it("passes the photo through", () => {
+    const props = celebrationPropsFor(validateRecipientConfig({ ...BASE, photo: "asha.jpg" }));
+    expect(props.friendImageFilename).toBe("asha.jpg");
+  });
+
+  it("has no photo for a gallery-only config, so the slides are just the gallery", () => {
+    const gallery = [{ photo: "one.jpg" }, { video: "hello.mp4", poster: "hello.jpg" }];
+    const props = celebrationPropsFor(validateRecipientConfig({ ...BASE, gallery }));
+    // null, not undefined: undefined would fall back to Celebration's sample photo
+    expect(props.friendImageFilename).toBeNull();
+    expect(props.gallery).toEqual(gallery);
+  });
+});
+
+describe("a playlist-only config", () => {
+  const { song: _song, ...rest } = BASE;
+  const recipient = validateRecipientConfig({ ...rest, photo: "asha.jpg", playlist: [{ song: "one.mp3" }, { song: "two.mp3", start: 3 }] });
+  const playlistSrcs = ["/assets/one.mp3", "/assets/two.mp3"];
+
+  it("starts the playlist from the gift tap, with no sample song first", () => {
+    expect(songTracks(homePropsFor(recipient).song).map((track) => track.src)).toEqual(playlistSrcs);
+  });
+
+  it("plays only the playlist on the celebration", () => {
+    const props = celebrationPropsFor(recipient);
+    const tracks = songTracks({ filename: props.birthdaySongFilename, start: props.songStart, playlist: props.playlist });
+    expect(tracks.map((track) => track.src)).toEqual(playlistSrcs);
+  });
+
+  it("precaches only the playlist", () => {
+    expect(recipientAssetUrls(recipient)).toEqual(["/assets/asha.jpg", ...playlistSrcs]);
+  });
+});
@@ -0,0 +1,45 @@
+// recipients.js
+// Loads per-person configs from src/recipients/*.{json,yaml,yml} at build time.
+// The slug of a recipient is its filename without the extension.
+
+import { validateRecipientConfig } from "./schema.js";
+import { parseRecipientSource } from "./parse.js";
+
+export { parseRecipientSource };
+
+// Raw file contents; parsed + validated lazily so one broken config
+// only breaks its own page. The single-file export (scripts/export.js) builds in
+// "standalone" mode with just the exported recipient, its media already embedded.
+const files =
+  import.meta.env.MODE === "standalone"
+    ? { [`../recipients/${import.meta.env.VITE_EXPORT_RECIPIENT.filename}`]: import.meta.env.VITE_EXPORT_RECIPIENT.text }
+    : import.meta.glob("../recipients/*.{json,yaml,yml}", {
+        eager: true,
+        query: "?raw",
+        import: "default",
+      });
+
+// A Map, so slugs from the URL like "constructor" or "__proto__" don't find Object's own members
+const sources = new Map();
+for (const [path, text] of Object.entries(files)) {
+  const filename = path.split("/").pop();
+  const slug = filename.replace(/\.(json|ya?ml)$/, "");
+  sources.set(slug, { filename, text });
+}
+
+export const DEFAULT_RECIPIENT = import.meta.env.VITE_DEFAULT_RECIPIENT || "tushar";
+
+export function listRecipients() {
+  return [...sources.keys()];
+}
+
+/**
+ * getRecipient - return the validated config for `slug`, or null if no such
+ * config file exists. Throws RecipientConfigError for invalid configs.
+ */
+export function getRecipient(slug) {
+  const source = sources.get(slug);
+  if (!source) return null;
+  const raw = parseRecipientSource(source.filename, source.text);
+  return { slug, ...validateRecipientConfig(raw, `src/recipients/${source.filename}`) };
+}
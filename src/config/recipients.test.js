@@ -0,0 +1,24 @@
+// recipients.test.js
+// Looking recipients up by slug, as /b/<slug> does.
+
+import { describe, expect, it } from "vitest";
+import { getRecipient, listRecipients } from "./recipients.js";
+
+describe("getRecipient", () => {
+  it("finds a config from src/recipients by its filename", () => {
+    expect(listRecipients()).toContain("tushar");
+    expect(getRecipient("tushar")).toMatchObject({ slug: "tushar", name: expect.any(String) });
+  });
+
+  it("is null for a slug without a config (the 404 page)", () => {
+    expect(getRecipient("nobody")).toBeNull();
+  });
+
+  it.each(["toString", "constructor", "__proto__", "hasOwnProperty", "valueOf"])(
+    "doesn't mistake Object's member %s for a recipient",
+    (slug) => {
+      expect(getRecipient(slug)).toBeNull();
+      expect(listRecipients()).not.toContain(slug);
+    }
+  );
+});
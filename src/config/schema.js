@@ -0,0 +1,298 @@
+// schema.js
+// Recipient config schema + validator.
+// Kept free of browser/Vite APIs so Node scripts can validate configs too.
+
+import { SUPPORTED_LOCALES } from "../i18n/locales/index.js";
+import { DEFAULT_THEME, THEME_NAMES } from "../themes/index.js";
+import { DEFAULT_OPENER, OPENER_NAMES } from "../openers/names.js";
+
+const IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "webp", "gif", "avif"];
+const AUDIO_EXTENSIONS = ["mp3", "ogg", "wav", "m4a", "aac", "webm"];
+const VIDEO_EXTENSIONS = ["mp4", "webm"];
+
+/**
+ * RecipientConfigError - thrown when a recipient config cannot be parsed or
+ * does not match the schema. `issues` is a list of { path, message } so the
+ * error page can show every problem at once instead of the first one.
+ */
+export class RecipientConfigError extends Error {
+  constructor(source, issues) {
+    const summary = issues.map((i) => `  - ${i.path ? `${i.path}: ` : ""}${i.message}`).join("\n");
+    super(`Invalid recipient config "${source}":\n${summary}`);
+    this.name = "RecipientConfigError";
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Field rules. Each entry is { type, required?, default?, ...type options }.
+ *  - string: maxLength
+ *  - integer / number: min, max
+ *  - boolean
+ *  - enum:   values
+ *  - asset:  kind ("image" | "audio" | "video") - a filename in public/assets, an absolute URL
+ *            or an "upload:<id>" ref to a file uploaded in the builder (see src/uploads/storage.js)
+ *  - date:   "YYYY-MM-DD" or "MM-DD"
+ *  - datetime: "YYYY-MM-DD", "YYYY-MM-DDTHH:mm" or "YYYY-MM-DDTHH:mm:ss", optionally ending in "Z" / "+05:30"
+ *  - timezone: an IANA time zone name ("Asia/Kolkata")
+ *  - list:   of (field rules for each item object), maxItems, check (extra per-item check)
+ */
+export const RECIPIENT_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 80 },
+  message: { type: "string", required: true, maxLength: 2000 },
+  // At least one of `photo` / `gallery` is required (see validateRecipientConfig)
+  photo: { type: "asset", kind: "image" },
+  // At least one of `song` / `playlist` is required (see validateRecipientConfig)
+  song: { type: "asset", kind: "audio" },
+  // Seconds to skip at the start of `song` (e.g. a long intro)
+  songStart: { type: "number", min: 0, max: 600 },
+  // More songs played after `song`, crossfading between tracks
+  playlist: {
+    type: "list",
+    maxItems: 20,
+    of: {
+      song: { type: "asset", kind: "audio", required: true },
+      start: { type: "number", min: 0, max: 600 },
+    },
+  },
+  shuffle: { type: "boolean", default: false },
+  crossfade: { type: "number", min: 0, max: 12, default: 3 },
+  sender: { type: "string", maxLength: 80, default: "" },
+  theme: { type: "enum", values: THEME_NAMES, default: DEFAULT_THEME },
+  // What the recipient opens on the first page (see src/openers)
+  opener: { type: "enum", values: OPENER_NAMES, default: DEFAULT_OPENER },
+  date: { type: "date" },
+  // Keep the gift locked (Home shows a countdown) until this time in `timezone`;
+  // an explicit offset in revealAt wins. Without a timezone the visitor's own is used.
+  revealAt: { type: "datetime" },
+  timezone: { type: "timezone" },
+  age: { type: "integer", min: 1, max: 150 },
+  locale: { type: "enum", values: SUPPORTED_LOCALES },
+  // Optional text templates; {name}, {sender}, {age} and {ageOrdinal} are filled in.
+  tagline: { type: "string", maxLength: 200 },
+  heading: { type: "string", maxLength: 120 },
+  attribution: { type: "string", maxLength: 200 },
+  // More photos / video greetings for the celebration slideshow, shown after `photo`.
+  gallery: {
+    type: "list",
+    maxItems: 30,
+    of: {
+      photo: { type: "asset", kind: "image" },
+      video: { type: "asset", kind: "video" },
+      poster: { type: "asset", kind: "image" },
+      caption: { type: "string", maxLength: 140 },
+    },
+    check: (item, path, issues) => {
+      if (!item.photo === !item.video) {
+        issues.push({ path, message: "needs exactly one of photo or video" });
+      } else if (item.poster && !item.video) {
+        issues.push({ path: `${path}.poster`, message: "only applies to video entries" });
+      }
+    },
+  },
+  // Extra wishes from other contributors, typed out after `message` on the celebration card.
+  wishes: {
+    type: "list",
+    maxItems: 50,
+    of: {
+      author: { type: "string", required: true, maxLength: 80 },
+      message: { type: "string", required: true, maxLength: 2000 },
+      avatar: { type: "asset", kind: "image" },
+    },
+  },
+};
+
+const ASSET_EXTENSIONS = { image: IMAGE_EXTENSIONS, audio: AUDIO_EXTENSIONS, video: VIDEO_EXTENSIONS };
+
+function isAbsoluteUrl(value) {
+  return /^(https?:|data:|blob:|upload:)/i.test(value);
+}
+
+function checkString(value, rule, path, issues) {
+  if (typeof value !== "string") {
+    issues.push({ path, message: `expected a string, got ${typeof value}` });
+    return;
+  }
+  if (rule.required && value.trim() === "") {
+    issues.push({ path, message: "must not be empty" });
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    issues.push({ path, message: `must be at most ${rule.maxLength} characters (got ${value.length})` });
+  }
+}
+
+function checkAsset(value, rule, path, issues) {
+  if (typeof value !== "string" || value.trim() === "") {
+    issues.push({ path, message: `expected a ${rule.kind} filename` });
+    return;
+  }
+  if (isAbsoluteUrl(value)) return;
+  if (value.includes("..") || value.startsWith("/")) {
+    issues.push({ path, message: `"${value}" must be a plain filename inside public/assets` });
+    return;
+  }
+  const ext = value.split(".").pop().toLowerCase();
+  const allowed = ASSET_EXTENSIONS[rule.kind];
+  if (!allowed.includes(ext)) {
+    issues.push({ path, message: `"${value}" is not a supported ${rule.kind} (${allowed.join(", ")})` });
+  }
+}
+
+function checkInteger(value, rule, path, issues) {
+  if (!Number.isInteger(value)) {
+    issues.push({ path, message: `expected a whole number, got ${JSON.stringify(value)}` });
+    return;
+  }
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    issues.push({ path, message: `must be between ${rule.min} and ${rule.max}` });
+  }
+}
+
+function checkNumber(value, rule, path, issues) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    issues.push({ path, message: `expected a number, got ${JSON.stringify(value)}` });
+    return;
+  }
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    issues.push({ path, message: `must be between ${rule.min} and ${rule.max}` });
+  }
+}
+
+function checkBoolean(value, rule, path, issues) {
+  if (typeof value !== "boolean") {
+    issues.push({ path, message: `expected true or false, got ${JSON.stringify(value)}` });
+  }
+}
+
+function checkEnum(value, rule, path, issues) {
+  if (!rule.values.includes(value)) {
+    issues.push({ path, message: `must be one of ${rule.values.join(", ")} (got ${JSON.stringify(value)})` });
+  }
+}
+
+function checkDate(value, rule, path, issues) {
+  const match = typeof value === "string" && value.match(/^(?:(\d{4})-)?(\d{2})-(\d{2})$/);
+  if (!match) {
+    issues.push({ path, message: `expected "YYYY-MM-DD" or "MM-DD", got ${JSON.stringify(value)}` });
+    return;
+  }
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    issues.push({ path, message: `"${value}" is not a valid date` });
+  }
+}
+
+function checkDateTime(value, rule, path, issues) {
+  const valid =
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:\d{2})?)?$/i.test(value) &&
+    !Number.isNaN(Date.parse(value.length === 10 ? value : value.replace(/(T\d{2}:\d{2})$/, "$1:00")));
+  if (!valid) {
+    issues.push({ path, message: `expected a date/time like "2026-03-14T09:00", got ${JSON.stringify(value)}` });
+  }
+}
+
+function checkTimeZone(value, rule, path, issues) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+  } catch {
+    issues.push({ path, message: `${JSON.stringify(value)} is not a known time zone (e.g. "Asia/Kolkata")` });
+  }
+}
+
+function checkList(value, rule, path, issues) {
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: `expected a list, got ${typeof value}` });
+    return;
+  }
+  if (rule.maxItems && value.length > rule.maxItems) {
+    issues.push({ path, message: `must have at most ${rule.maxItems} entries (got ${value.length})` });
+  }
+  value.forEach((item, i) => {
+    const checked = checkFields(item, rule.of, `${path}[${i}]`, issues);
+    if (rule.check) rule.check(checked, `${path}[${i}]`, issues);
+  });
+}
+
+const CHECKS = {
+  string: checkString,
+  integer: checkInteger,
+  number: checkNumber,
+  boolean: checkBoolean,
+  enum: checkEnum,
+  asset: checkAsset,
+  date: checkDate,
+  datetime: checkDateTime,
+  timezone: checkTimeZone,
+  list: checkList,
+};
+
+/**
+ * checkFields - validate `raw` against a map of field rules, collecting
+ * issues under `prefix`. Returns a copy with defaults applied.
+ */
+function checkFields(raw, fields, prefix, issues) {
+  const at = (key) => (prefix ? `${prefix}.${key}` : key);
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    issues.push({ path: prefix, message: "must be an object" });
+    return {};
+  }
+
+  const result = {};
+  for (const [key, rule] of Object.entries(fields)) {
+    const value = raw[key];
+    if (value === undefined || value === null) {
+      if (rule.required) issues.push({ path: at(key), message: "is required" });
+      else if ("default" in rule) result[key] = rule.default;
+      continue;
+    }
+    CHECKS[rule.type](value, rule, at(key), issues);
+    result[key] = value;
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!(key in fields)) issues.push({ path: at(key), message: "is not a known field" });
+  }
+  return result;
+}
+
+/**
+ * mapAssets - a copy of a validated config with every asset field (lists included)
+ * replaced by `fn(value, { kind, path })`. Lets Node scripts find or rewrite a
+ * config's media without knowing where the schema puts it.
+ */
+export function mapAssets(config, fn, fields = RECIPIENT_SCHEMA, prefix = "") {
+  const result = { ...config };
+  for (const [key, rule] of Object.entries(fields)) {
+    const value = config[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value === undefined || value === null) continue;
+    if (rule.type === "asset") result[key] = fn(value, { kind: rule.kind, path });
+    else if (rule.type === "list") result[key] = value.map((item, i) => mapAssets(item, fn, rule.of, `${path}[${i}]`));
+  }
+  return result;
+}
+
+/**
+ * validateRecipientConfig - check a parsed config object against RECIPIENT_SCHEMA.
+ * Returns the config with defaults applied; throws RecipientConfigError listing
+ * every issue found.
+ */
+export function validateRecipientConfig(raw, source = "config") {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new RecipientConfigError(source, [{ path: "", message: "config must be an object" }]);
+  }
+
+  const issues = [];
+  const config = checkFields(raw, RECIPIENT_SCHEMA, "", issues);
+  if (!config.photo && !(config.gallery && config.gallery.length > 0)) {
+    issues.push({ path: "photo", message: "is required (or list photos under gallery)" });
+  }
+  if (!config.song && !(config.playlist && config.playlist.length > 0)) {
+    issues.push({ path: "song", message: "is required (or list songs under playlist)" });
+  }
+  if (issues.length > 0) throw new RecipientConfigError(source, issues);
+  return config;
+}
@@ -0,0 +1,217 @@
+// gif.js
+// A small animated GIF encoder: GIF89a, one 256-color palette per frame (picked from
+// that frame's most common colors), LZW compressed, looping forever. No dependencies and
+// no DOM, so it works on plain RGBA buffers (ImageData.data) anywhere.
+
+// Colors are bucketed by their top 4 bits per channel before picking a palette
+const BUCKET_BITS = 4;
+const BUCKETS = 1 << (BUCKET_BITS * 3);
+const PALETTE_SIZE = 256;
+
+function bucketOf(r, g, b) {
+  const shift = 8 - BUCKET_BITS;
+  return ((r >> shift) << (BUCKET_BITS * 2)) | ((g >> shift) << BUCKET_BITS) | (b >> shift);
+}
+
+/**
+ * quantize - RGBA pixels -> { palette (256 * rgb bytes), indices (one byte per pixel) }.
+ * The palette holds the average color of the most used buckets; every bucket then maps
+ * to its nearest palette color.
+ */
+export function quantize(rgba) {
+  const count = new Uint32Array(BUCKETS);
+  const sums = new Float64Array(BUCKETS * 3);
+  const pixels = rgba.length / 4;
+  const buckets = new Uint16Array(pixels);
+  for (let i = 0; i < pixels; i++) {
+    const r = rgba[i * 4];
+    const g = rgba[i * 4 + 1];
+    const b = rgba[i * 4 + 2];
+    const bucket = bucketOf(r, g, b);
+    buckets[i] = bucket;
+    count[bucket] += 1;
+    sums[bucket * 3] += r;
+    sums[bucket * 3 + 1] += g;
+    sums[bucket * 3 + 2] += b;
+  }
+
+  const used = [];
+  for (let i = 0; i < BUCKETS; i++) if (count[i]) used.push(i);
+  used.sort((a, b) => count[b] - count[a]);
+  const chosen = used.slice(0, PALETTE_SIZE);
+
+  const palette = new Uint8Array(PALETTE_SIZE * 3);
+  chosen.forEach((bucket, i) => {
+    for (let c = 0; c < 3; c++) palette[i * 3 + c] = Math.round(sums[bucket * 3 + c] / count[bucket]);
+  });
+
+  // Nearest palette entry for every bucket that occurs
+  const lookup = new Uint8Array(BUCKETS);
+  for (const bucket of used) {
+    const r = sums[bucket * 3] / count[bucket];
+    const g = sums[bucket * 3 + 1] / count[bucket];
+    const b = sums[bucket * 3 + 2] / count[bucket];
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < chosen.length; i++) {
+      const dr = palette[i * 3] - r;
+      const dg = palette[i * 3 + 1] - g;
+      const db = palette[i * 3 + 2] - b;
+      const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    lookup[bucket] = best;
+  }
+
+  const indices = new Uint8Array(pixels);
+  for (let i = 0; i < pixels; i++) indices[i] = lookup[buckets[i]];
+  return { palette, indices };
+}
+
+class ByteWriter {
+  constructor(size = 1 << 16) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  short(value) {
+    this.byte(value & 0xff);
+    this.byte((value >> 8) & 0xff);
+  }
+
+  all(values) {
+    for (const v of values) this.byte(v);
+  }
+
+  text(value) {
+    for (const c of value) this.byte(c.charCodeAt(0));
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+// LZW image data in 255-byte sub-blocks (GIF89a spec, appendix F)
+function writeLzw(out, indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const block = [];
+  let bits = 0;
+  let bitCount = 0;
+  const flushBlock = () => {
+    out.byte(block.length);
+    out.all(block);
+    block.length = 0;
+  };
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bits & 0xff);
+      if (block.length === 255) flushBlock();
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(minCodeSize);
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize += 1;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) block.push(bits & 0xff);
+  if (block.length) flushBlock();
+  out.byte(0); // block terminator
+}
+
+/**
+ * GifEncoder - builds a looping GIF one frame at a time, so callers don't have to
+ * keep every frame in memory. Frames are RGBA pixels (ImageData.data) of
+ * width * height * 4; `delayMs` is the time per frame.
+ */
+export class GifEncoder {
+  constructor(width, height, { delayMs = 100 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.delay = Math.max(2, Math.round(delayMs / 10));
+    const out = (this.out = new ByteWriter());
+    out.text("GIF89a");
+    out.short(width);
+    out.short(height);
+    out.all([0x00, 0, 0]); // no global color table, background 0, square pixels
+
+    // Loop forever (NETSCAPE2.0 application extension)
+    out.all([0x21, 0xff, 0x0b]);
+    out.text("NETSCAPE2.0");
+    out.all([0x03, 0x01]);
+    out.short(0);
+    out.byte(0);
+  }
+
+  addFrame(rgba) {
+    const out = this.out;
+    const { palette, indices } = quantize(rgba);
+    out.all([0x21, 0xf9, 0x04, 0x04]); // graphic control: keep the previous frame underneath
+    out.short(this.delay);
+    out.all([0, 0]);
+
+    out.byte(0x2c); // image descriptor
+    out.short(0);
+    out.short(0);
+    out.short(this.width);
+    out.short(this.height);
+    out.byte(0x80 | 0x07); // local color table of 2^(7+1) entries
+    out.all(palette);
+    writeLzw(out, indices, 8);
+  }
+
+  /** finish - the GIF file bytes */
+  finish() {
+    this.out.byte(0x3b);
+    return this.out.result();
+  }
+}
+
+/** encodeGif - all frames at once -> GIF file bytes (see GifEncoder) */
+export function encodeGif(frames, width, height, options) {
+  const encoder = new GifEncoder(width, height, options);
+  frames.forEach((rgba) => encoder.addFrame(rgba));
+  return encoder.finish();
+}
@@ -0,0 +1,132 @@
+// record.js
+// Turns a scene (scene.js) into a file the recipient can keep:
+//  - recordVideo: WebM with the song, via MediaRecorder on a canvas stream. Frames are
+//    rendered at fixed scene times and paced in real time so they line up with the audio.
+//  - recordGif: a silent, lighter animated GIF (gif.js), encoded frame by frame as fast
+//    as the browser manages.
+// Both report progress (0..1) through onProgress.
+
+import { GifEncoder } from "./gif.js";
+
+const VIDEO_TYPES = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"];
+// Fade the song out over the last part of the video
+const AUDIO_FADE_S = 1.5;
+
+export function canRecordVideo() {
+  return (
+    typeof MediaRecorder !== "undefined" &&
+    typeof HTMLCanvasElement !== "undefined" &&
+    typeof HTMLCanvasElement.prototype.captureStream === "function" &&
+    VIDEO_TYPES.some((type) => MediaRecorder.isTypeSupported(type))
+  );
+}
+
+function sceneCanvas(scene) {
+  const canvas = document.createElement("canvas");
+  canvas.width = scene.width;
+  canvas.height = scene.height;
+  return canvas;
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function songSource(ctx, song) {
+  const res = await fetch(song.src);
+  if (!res.ok) throw new Error(`could not load the song (${res.status})`);
+  const source = ctx.createBufferSource();
+  source.buffer = await ctx.decodeAudioData(await res.arrayBuffer());
+  return source;
+}
+
+/**
+ * recordVideo - record `scene` as WebM. `song` ({ src, start }) plays from `start`
+ * seconds underneath; without it the video is silent. A song that can't be fetched or
+ * decoded doesn't fail the export: the video is recorded silent and onAudioError(err)
+ * is called. Resolves with the Blob.
+ */
+export async function recordVideo(scene, { song = null, fps = 30, onProgress = () => {}, onAudioError = () => {} } = {}) {
+  const canvas = sceneCanvas(scene);
+  const ctx2d = canvas.getContext("2d");
+  scene.render(ctx2d, 0);
+  const stream = canvas.captureStream(0);
+  const [videoTrack] = stream.getVideoTracks();
+
+  let audioCtx = null;
+  let source = null;
+  let gain = null;
+  if (song) {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+      source = await songSource(audioCtx, song);
+    } catch (err) {
+      audioCtx.close().catch(() => {});
+      audioCtx = null;
+      onAudioError(err);
+    }
+  }
+  if (source) {
+    gain = audioCtx.createGain();
+    const destination = audioCtx.createMediaStreamDestination();
+    source.connect(gain).connect(destination);
+    destination.stream.getAudioTracks().forEach((track) => stream.addTrack(track));
+  }
+
+  const mimeType = VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 4_000_000 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  const seconds = scene.duration / 1000;
+  recorder.start();
+  if (source) {
+    await audioCtx.resume();
+    const now = audioCtx.currentTime;
+    gain.gain.setValueAtTime(1, now + Math.max(0, seconds - AUDIO_FADE_S));
+    gain.gain.linearRampToValueAtTime(0, now + seconds);
+    source.start(now, song.start || 0);
+  }
+
+  const frames = Math.ceil(seconds * fps);
+  const startedAt = performance.now();
+  try {
+    for (let i = 0; i <= frames; i++) {
+      const at = (i * 1000) / fps;
+      const wait = startedAt + at - performance.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      scene.render(ctx2d, Math.min(at, scene.duration));
+      videoTrack.requestFrame();
+      onProgress(i / frames);
+    }
+  } finally {
+    recorder.stop();
+    source?.stop();
+    stream.getTracks().forEach((track) => track.stop());
+  }
+  await stopped;
+  audioCtx?.close().catch(() => {});
+  return new Blob(chunks, { type: "video/webm" });
+}
+
+/**
+ * recordGif - render `scene` frame by frame into an animated GIF Blob. Keep scenes
+ * small (e.g. 360px wide): GIF has no inter-frame compression to speak of.
+ */
+export async function recordGif(scene, { fps = 12, onProgress = () => {} } = {}) {
+  const canvas = sceneCanvas(scene);
+  const ctx2d = canvas.getContext("2d", { willReadFrequently: true });
+  const encoder = new GifEncoder(scene.width, scene.height, { delayMs: 1000 / fps });
+  const frames = Math.ceil((scene.duration / 1000) * fps);
+  for (let i = 0; i <= frames; i++) {
+    scene.render(ctx2d, Math.min((i * 1000) / fps, scene.duration));
+    encoder.addFrame(ctx2d.getImageData(0, 0, scene.width, scene.height).data);
+    onProgress(i / frames);
+    // Let the page repaint the progress between frames
+    await nextTick();
+  }
+  return new Blob([encoder.finish()], { type: "image/gif" });
+}
@@ -0,0 +1,257 @@
+// scene.js
+// The celebration redrawn on a canvas for exporting (see record.js): card, photo reveal,
+// heading pop, the typed message and the confetti shower, following the same timeline
+// as the page (lib/reveal.js).
+//
+// render(ctx, ms) draws the frame `ms` after the start. Confetti is simulated in fixed
+// steps with a seeded random, so the same scene renders the same frames at any frame
+// rate and on any machine.
+
+import { ConfettiEngine } from "../confetti/engine.js";
+import { seededRandom } from "../lib/random.js";
+import { splitGraphemes } from "../lib/graphemes.js";
+import { REVEAL_STEPS, TYPING_INTERVAL_MS, revealStepAt } from "../lib/reveal.js";
+
+// Keep the message on screen this long after it's fully typed
+const HOLD_MS = 3500;
+// Exports never run longer than this (very long messages get cut off)
+export const MAX_DURATION_MS = 30000;
+const SIM_STEP_S = 1 / 60;
+const IMAGE_FADE_MS = 700;
+const HEADING_POP_MS = 760;
+const FONT = "Inter, system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif";
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
+
+function easeOut(x) {
+  return 1 - (1 - x) ** 3;
+}
+
+function roundedRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.roundRect(x, y, w, h, r);
+}
+
+/**
+ * loadPhoto - an <img> for the scene, or null when it can't be drawn (load failure,
+ * or a cross-origin image without CORS that would taint the canvas).
+ */
+export function loadPhoto(src) {
+  if (!src) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+// Break `graphemes` into lines no wider than maxWidth, at spaces where possible
+function wrapGraphemes(ctx, graphemes, maxWidth) {
+  const lines = [];
+  let line = [];
+  let lastSpace = -1;
+  for (const g of graphemes) {
+    if (g === "\n") {
+      lines.push(line);
+      line = [];
+      lastSpace = -1;
+      continue;
+    }
+    line.push(g);
+    if (g === " ") lastSpace = line.length - 1;
+    if (ctx.measureText(line.join("")).width > maxWidth && line.length > 1) {
+      const cut = lastSpace > 0 ? lastSpace + 1 : line.length - 1;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+      lastSpace = line.lastIndexOf(" ");
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * createScene - lay out a celebration frame of width x height pixels.
+ *  - photo: an image from loadPhoto (or null)
+ *  - heading, message, attribution: the texts as shown on the page
+ *  - colors: { pageBg: [a, b], card: [a, b], cardBorder, heading: [a, b, c], ink, muted }
+ *    (the theme's custom properties)
+ *  - confettiColors: the theme's confetti palette
+ *  - locale / dir: for splitting and drawing the message
+ *  - steps: the reveal timeline (lib/reveal.js revealStepsFor) the page played
+ */
+export function createScene({
+  width,
+  height,
+  photo,
+  heading,
+  message,
+  attribution,
+  colors,
+  confettiColors,
+  locale = "en",
+  dir = "ltr",
+  steps = REVEAL_STEPS,
+  seed = 1,
+}) {
+  const unit = width / 100;
+  const pad = 6 * unit;
+  const card = { x: pad, y: pad, w: width - pad * 2, h: height - pad * 2 };
+  const inner = { x: card.x + pad, w: card.w - pad * 2 };
+  const attributionY = card.y + pad * 0.9;
+  const photoBox = { x: inner.x, y: attributionY + 5 * unit, w: inner.w, h: Math.round(height * 0.42) };
+  const headingSize = Math.round(7.2 * unit);
+  const headingY = photoBox.y + photoBox.h + pad + headingSize * 0.8;
+  const messageSize = Math.round(4 * unit);
+  const messageY = headingY + headingSize * 0.9 + messageSize;
+
+  // Measure once; wrapping must not shift while the message types out
+  const measure = document.createElement("canvas").getContext("2d");
+  measure.font = `400 ${messageSize}px ${FONT}`;
+  const lines = wrapGraphemes(measure, splitGraphemes(message, locale), inner.w);
+  const graphemeCount = lines.reduce((n, line) => n + line.length, 0);
+
+  const typingAt = revealStepAt("typing", steps);
+  const imageAt = revealStepAt("image", steps);
+  const headingAt = revealStepAt("heading", steps);
+  const typedAt = typingAt + graphemeCount * TYPING_INTERVAL_MS;
+  const lastStep = revealStepAt(steps[steps.length - 1].name, steps);
+  const confettiAt = steps.filter((step) => step.confetti).map((step) => revealStepAt(step.name, steps));
+  const duration = Math.min(MAX_DURATION_MS, Math.max(typedAt, lastStep) + HOLD_MS);
+
+  let confetti;
+  let simulatedMs;
+  let firedSteps;
+  function reset() {
+    confetti = new ConfettiEngine({ random: seededRandom(seed), colors: confettiColors, budget: 400 });
+    confetti.resize(width, height);
+    simulatedMs = 0;
+    firedSteps = new Set();
+  }
+  reset();
+
+  // Advance the confetti to `ms` in fixed steps, firing the shower where the page does
+  function simulate(ms) {
+    if (ms < simulatedMs) reset();
+    while (simulatedMs <= ms) {
+      for (const at of confettiAt) {
+        if (!firedSteps.has(at) && simulatedMs >= at) {
+          firedSteps.add(at);
+          confetti.burst({
+            x: width / 2,
+            y: -10,
+            spreadX: width,
+            count: 110,
+            angle: 90,
+            spread: 40,
+            speed: [60 * (width / 400), 220 * (width / 400)],
+          });
+        }
+      }
+      confetti.step(SIM_STEP_S);
+      simulatedMs += SIM_STEP_S * 1000;
+    }
+  }
+
+  function drawPhoto(ctx, ms) {
+    const p = easeOut(clamp01((ms - imageAt) / IMAGE_FADE_MS));
+    if (p === 0) return;
+    ctx.save();
+    ctx.globalAlpha = p;
+    const scale = 0.96 + 0.04 * p;
+    ctx.translate(photoBox.x + photoBox.w / 2, photoBox.y + photoBox.h / 2);
+    ctx.scale(scale, scale);
+    ctx.translate(-photoBox.w / 2, -photoBox.h / 2);
+    roundedRect(ctx, 0, 0, photoBox.w, photoBox.h, 3 * unit);
+    ctx.clip();
+    if (photo) {
+      // object-fit: cover
+      const ratio = Math.max(photoBox.w / photo.naturalWidth, photoBox.h / photo.naturalHeight);
+      const w = photo.naturalWidth * ratio;
+      const h = photo.naturalHeight * ratio;
+      ctx.drawImage(photo, (photoBox.w - w) / 2, (photoBox.h - h) / 2, w, h);
+    } else {
+      ctx.fillStyle = colors.card[1];
+      ctx.fillRect(0, 0, photoBox.w, photoBox.h);
+    }
+    ctx.restore();
+  }
+
+  function drawHeading(ctx, ms) {
+    const p = clamp01((ms - headingAt) / HEADING_POP_MS);
+    if (p === 0) return;
+    ctx.save();
+    ctx.globalAlpha = clamp01(p / 0.7);
+    ctx.font = `800 ${headingSize}px ${FONT}`;
+    ctx.textAlign = "center";
+    ctx.direction = dir;
+    const textWidth = ctx.measureText(heading).width;
+    const gradient = ctx.createLinearGradient(width / 2 - textWidth / 2, 0, width / 2 + textWidth / 2, 0);
+    gradient.addColorStop(0, colors.heading[0]);
+    gradient.addColorStop(0.45, colors.heading[1]);
+    gradient.addColorStop(1, colors.heading[2]);
+    ctx.fillStyle = gradient;
+    const e = easeOut(p);
+    ctx.translate(width / 2, headingY + 2 * unit * (1 - e));
+    ctx.scale(0.96 + 0.04 * e, 0.96 + 0.04 * e);
+    ctx.fillText(heading, 0, 0, inner.w);
+    ctx.restore();
+  }
+
+  function drawMessage(ctx, ms) {
+    if (ms < typingAt) return;
+    let remaining = Math.floor((ms - typingAt) / TYPING_INTERVAL_MS);
+    ctx.save();
+    ctx.font = `400 ${messageSize}px ${FONT}`;
+    ctx.fillStyle = colors.ink;
+    ctx.textAlign = "center";
+    ctx.direction = dir;
+    let y = messageY;
+    for (const line of lines) {
+      if (remaining <= 0 || y > card.y + card.h - pad) break;
+      ctx.fillText(line.slice(0, remaining).join(""), width / 2, y);
+      remaining -= line.length;
+      y += messageSize * 1.5;
+    }
+    ctx.restore();
+  }
+
+  function render(ctx, ms) {
+    simulate(ms);
+
+    const bg = ctx.createLinearGradient(0, 0, 0, height);
+    bg.addColorStop(0, colors.pageBg[0]);
+    bg.addColorStop(1, colors.pageBg[1]);
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, width, height);
+
+    const cardFill = ctx.createLinearGradient(0, card.y, 0, card.y + card.h);
+    cardFill.addColorStop(0, colors.card[0]);
+    cardFill.addColorStop(1, colors.card[1]);
+    roundedRect(ctx, card.x, card.y, card.w, card.h, 4 * unit);
+    ctx.fillStyle = cardFill;
+    ctx.fill();
+    ctx.strokeStyle = colors.cardBorder;
+    ctx.lineWidth = Math.max(1, unit / 4);
+    ctx.stroke();
+
+    ctx.save();
+    ctx.font = `500 ${Math.round(3.2 * unit)}px ${FONT}`;
+    ctx.fillStyle = colors.muted;
+    ctx.textAlign = "center";
+    ctx.direction = dir;
+    ctx.fillText(attribution, width / 2, attributionY + 2 * unit, inner.w);
+    ctx.restore();
+
+    drawPhoto(ctx, ms);
+    drawHeading(ctx, ms);
+    drawMessage(ctx, ms);
+    confetti.paint(ctx);
+  }
+
+  return { width, height, duration, render };
+}
@@ -0,0 +1,11 @@
+// context.js
+// I18n context + hook. Defaults to English so pages also render outside a provider.
+
+import { createContext, useContext } from "react";
+import { createTranslator } from "./translator.js";
+
+export const I18nContext = createContext(createTranslator());
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,83 @@
+// ar.js - Arabic strings (right-to-left). Ages are written as plain numbers.
+
+export default {
+  name: "العربية",
+  dir: "rtl",
+  ordinal: (n) => String(n),
+  messages: {
+    "home.loading": "جارٍ التحميل...",
+    "home.titleTop": "عيد ميلاد",
+    "home.titleTopAge": "عيد ميلادك الـ{ageOrdinal}",
+    "home.titleBottom": "سعيد!",
+    "home.tagline": "مفاجأة صغيرة — اضغط على الهدية لتكشف السحر.",
+    "home.taglineNamed": "مفاجأة صغيرة لـ{name} — اضغط على الهدية لتكشف السحر.",
+    "home.tipTouch": "نصيحة: اضغط على الهدية",
+    "home.tipPointer": "نصيحة: انقر أو اضغط على الهدية لفتحها",
+    "home.openGift": "افتح الهدية",
+    "home.openGiftNamed": "افتح هدية {name}",
+    "home.locked": "تُفتح هديتك بعد",
+    "home.lockedUntil": "تُفتح الهدية في {date}",
+    "home.unitDays": "أيام",
+    "home.unitHours": "ساعات",
+    "home.unitMinutes": "دقائق",
+    "home.unitSeconds": "ثوانٍ",
+    "home.previewBadge": "معاينة — تبقى الهدية مقفلة للجميع حتى {date}",
+    "home.taglineOpener": "مفاجأة صغيرة — افتحها لتكشف السحر.",
+    "home.taglineOpenerNamed": "مفاجأة صغيرة لـ{name} — افتحها لتكشف السحر.",
+    "opener.cake.label": "أطفئ الشموع",
+    "opener.cake.tip": "نصيحة: اضغط على الشموع لإطفائها",
+    "opener.cake.mic": "🎤 انفخ لإطفائها",
+    "opener.cake.listening": "نستمع… انفخ!",
+    "opener.cake.micDenied": "لا يوجد ميكروفون - اضغط على الكعكة بدلاً من ذلك",
+    "opener.envelope.label": "افتح الظرف",
+    "opener.envelope.tip": "نصيحة: اضغط على الظرف لفتحه",
+    "opener.balloon.label": "فجّر البالون",
+    "opener.balloon.tip": "نصيحة: اضغط على البالون لتفجيره",
+    "opener.scratch.label": "اكشف البطاقة",
+    "opener.scratch.tip": "نصيحة: اخدش البطاقة بإصبعك أو بالفأرة",
+    "opener.scratch.reveal": "اكشف",
+
+    "celebration.loading": "جارٍ التحميل...",
+    "celebration.heading": "عيد ميلاد سعيد!",
+    "celebration.headingNamed": "عيد ميلاد سعيد يا {name}!",
+    "celebration.headingAge": "عيد ميلادك الـ{ageOrdinal} سعيد!",
+    "celebration.headingAgeNamed": "عيد ميلادك الـ{ageOrdinal} سعيد يا {name}!",
+    "celebration.attribution": "صُنع بحب",
+    "celebration.attributionNamed": "صُنع بحب لـ{name}",
+    "celebration.attributionSender": "صُنع بحب من {sender}",
+    "celebration.attributionSenderNamed": "صُنع بحب من {sender} لـ{name}",
+    "celebration.photoAlt": "صورة عيد الميلاد",
+    "celebration.photoAltNamed": "صورة {name}",
+    "celebration.photoMissing": "لم يتم العثور على الصورة:",
+    "celebration.photoMissingLabel": "تعذّر تحميل صورة عيد الميلاد",
+    "celebration.slideshow": "عرض شرائح",
+    "celebration.slideCounter": "الصورة {current} من {total}",
+    "celebration.slideGoto": "عرض الصورة {n}",
+    "celebration.audioNotice": "ستُشغَّل أغنية عيد الميلاد تلقائيًا. اضغط M لكتم الصوت.",
+
+    "player.label": "أغنية عيد الميلاد",
+    "player.play": "تشغيل الأغنية",
+    "player.pause": "إيقاف الأغنية مؤقتًا",
+    "player.mute": "كتم الصوت",
+    "player.unmute": "إلغاء كتم الصوت",
+    "player.volume": "مستوى الصوت",
+    "player.seek": "موضع الأغنية",
+    "player.position": "{current} من {total}",
+    "player.tapToPlay": "اضغط لتشغيل أغنية عيد الميلاد",
+    "celebration.wishCarousel": "عرض متتابع",
+    "celebration.wishCounter": "الأمنية {current} من {total}",
+    "celebration.wishPrev": "الأمنية السابقة",
+    "celebration.wishNext": "الأمنية التالية",
+    "celebration.wishShowAll": "عرض الكل",
+    "celebration.wishShowOne": "واحدة تلو الأخرى",
+    "celebration.exportVideo": "🎬 حفظ الفيديو",
+    "celebration.exportGif": "حفظ GIF",
+    "celebration.exportProgress": "جارٍ الحفظ… {percent}%",
+    "celebration.exportFailed": "عذرًا، تعذّر الحفظ في هذا المتصفح",
+    "celebration.exportSilent": "تم الحفظ بدون الأغنية (تعذّر تحميلها)",
+    "celebration.replay": "↺ إعادة العرض",
+    "celebration.skipIntro": "تخطي المقدمة",
+    "celebration.backToGift": "🎁 العودة إلى الهدية",
+    "effects.reduce": "تقليل المؤثرات",
+  },
+};
@@ -0,0 +1,85 @@
+// en.js - English strings (also the fallback for keys missing in other locales).
+
+import { ordinal } from "../../lib/text.js";
+
+export default {
+  name: "English",
+  dir: "ltr",
+  ordinal,
+  messages: {
+    "home.loading": "Loading...",
+    "home.titleTop": "Happy",
+    "home.titleTopAge": "Happy {ageOrdinal}",
+    "home.titleBottom": "Birthday!",
+    "home.tagline": "A tiny surprise — tap the gift to reveal the magic.",
+    "home.taglineNamed": "A tiny surprise for {name} — tap the gift to reveal the magic.",
+    "home.tipTouch": "Tip: Tap the gift",
+    "home.tipPointer": "Tip: Click or tap the gift to open",
+    "home.openGift": "Open gift",
+    "home.openGiftNamed": "Open gift for {name}",
+    "home.locked": "Your gift unlocks in",
+    "home.lockedUntil": "The gift unlocks on {date}",
+    "home.unitDays": "days",
+    "home.unitHours": "hours",
+    "home.unitMinutes": "min",
+    "home.unitSeconds": "sec",
+    "home.previewBadge": "Preview — the gift stays locked for everyone else until {date}",
+    "home.taglineOpener": "A tiny surprise — open it to reveal the magic.",
+    "home.taglineOpenerNamed": "A tiny surprise for {name} — open it to reveal the magic.",
+    "opener.cake.label": "Blow out the candles",
+    "opener.cake.tip": "Tip: Tap the candles to blow them out",
+    "opener.cake.mic": "🎤 Blow them out",
+    "opener.cake.listening": "Listening… blow!",
+    "opener.cake.micDenied": "No microphone - tap the cake instead",
+    "opener.envelope.label": "Open the envelope",
+    "opener.envelope.tip": "Tip: Tap the envelope to open it",
+    "opener.balloon.label": "Pop the balloon",
+    "opener.balloon.tip": "Tip: Tap the balloon to pop it",
+    "opener.scratch.label": "Reveal the card",
+    "opener.scratch.tip": "Tip: Scratch the card with your finger or mouse",
+    "opener.scratch.reveal": "Reveal",
+
+    "celebration.loading": "Loading...",
+    "celebration.heading": "Happy Birthday!",
+    "celebration.headingNamed": "Happy Birthday {name}!",
+    "celebration.headingAge": "Happy {ageOrdinal} Birthday!",
+    "celebration.headingAgeNamed": "Happy {ageOrdinal} Birthday {name}!",
+    "celebration.attribution": "Made with love",
+    "celebration.attributionNamed": "Made with love for {name}",
+    "celebration.attributionSender": "Made with love from {sender}",
+    "celebration.attributionSenderNamed": "Made with love from {sender} for {name}",
+    "celebration.photoAlt": "Birthday photo",
+    "celebration.photoAltNamed": "Photo of {name}",
+    "celebration.photoMissing": "Photo not found:",
+    "celebration.photoMissingLabel": "Birthday photo could not be loaded",
+    "celebration.slideshow": "slideshow",
+    "celebration.slideCounter": "Photo {current} of {total}",
+    "celebration.slideGoto": "Show photo {n}",
+    "celebration.audioNotice": "A birthday song will play automatically. Press M to mute.",
+
+    "player.label": "Birthday song",
+    "player.play": "Play song",
+    "player.pause": "Pause song",
+    "player.mute": "Mute",
+    "player.unmute": "Unmute",
+    "player.volume": "Volume",
+    "player.seek": "Song position",
+    "player.position": "{current} of {total}",
+    "player.tapToPlay": "Tap to play the birthday song",
+    "celebration.wishCarousel": "carousel",
+    "celebration.wishCounter": "Wish {current} of {total}",
+    "celebration.wishPrev": "Previous wish",
+    "celebration.wishNext": "Next wish",
+    "celebration.wishShowAll": "Show all",
+    "celebration.wishShowOne": "One at a time",
+    "celebration.exportVideo": "🎬 Save video",
+    "celebration.exportGif": "Save GIF",
+    "celebration.exportProgress": "Saving… {percent}%",
+    "celebration.exportFailed": "Sorry, saving didn't work in this browser",
+    "celebration.exportSilent": "Saved without the song (it couldn't be loaded)",
+    "celebration.replay": "↺ Replay",
+    "celebration.skipIntro": "Skip intro",
+    "celebration.backToGift": "🎁 Back to gift",
+    "effects.reduce": "Reduce effects",
+  },
+};
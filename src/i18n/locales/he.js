@@ -0,0 +1,83 @@
+// he.js - Hebrew strings (right-to-left). Ages are written as plain numbers.
+
+export default {
+  name: "עברית",
+  dir: "rtl",
+  ordinal: (n) => String(n),
+  messages: {
+    "home.loading": "טוען...",
+    "home.titleTop": "יום הולדת",
+    "home.titleTopAge": "יום הולדת {ageOrdinal}",
+    "home.titleBottom": "שמח!",
+    "home.tagline": "הפתעה קטנה — הקישו על המתנה כדי לגלות את הקסם.",
+    "home.taglineNamed": "הפתעה קטנה בשביל {name} — הקישו על המתנה כדי לגלות את הקסם.",
+    "home.tipTouch": "טיפ: הקישו על המתנה",
+    "home.tipPointer": "טיפ: לחצו או הקישו על המתנה כדי לפתוח",
+    "home.openGift": "פתיחת המתנה",
+    "home.openGiftNamed": "פתיחת המתנה של {name}",
+    "home.locked": "המתנה שלך תיפתח בעוד",
+    "home.lockedUntil": "המתנה תיפתח ב־{date}",
+    "home.unitDays": "ימים",
+    "home.unitHours": "שעות",
+    "home.unitMinutes": "דקות",
+    "home.unitSeconds": "שניות",
+    "home.previewBadge": "תצוגה מקדימה — המתנה נעולה לכל השאר עד {date}",
+    "home.taglineOpener": "הפתעה קטנה — פתחו אותה כדי לגלות את הקסם.",
+    "home.taglineOpenerNamed": "הפתעה קטנה בשביל {name} — פתחו אותה כדי לגלות את הקסם.",
+    "opener.cake.label": "כיבוי הנרות",
+    "opener.cake.tip": "טיפ: הקישו על הנרות כדי לכבות אותם",
+    "opener.cake.mic": "🎤 לנשוף עליהם",
+    "opener.cake.listening": "מקשיבים… נשפו!",
+    "opener.cake.micDenied": "אין מיקרופון - הקישו על העוגה במקום",
+    "opener.envelope.label": "פתיחת המעטפה",
+    "opener.envelope.tip": "טיפ: הקישו על המעטפה כדי לפתוח אותה",
+    "opener.balloon.label": "פיצוץ הבלון",
+    "opener.balloon.tip": "טיפ: הקישו על הבלון כדי לפוצץ אותו",
+    "opener.scratch.label": "חשיפת הכרטיס",
+    "opener.scratch.tip": "טיפ: גרדו את הכרטיס עם האצבע או העכבר",
+    "opener.scratch.reveal": "חשיפה",
+
+    "celebration.loading": "טוען...",
+    "celebration.heading": "יום הולדת שמח!",
+    "celebration.headingNamed": "יום הולדת שמח, {name}!",
+    "celebration.headingAge": "יום הולדת {ageOrdinal} שמח!",
+    "celebration.headingAgeNamed": "יום הולדת {ageOrdinal} שמח, {name}!",
+    "celebration.attribution": "נעשה באהבה",
+    "celebration.attributionNamed": "נעשה באהבה בשביל {name}",
+    "celebration.attributionSender": "נעשה באהבה מאת {sender}",
+    "celebration.attributionSenderNamed": "נעשה באהבה מאת {sender} בשביל {name}",
+    "celebration.photoAlt": "תמונת יום הולדת",
+    "celebration.photoAltNamed": "תמונה של {name}",
+    "celebration.photoMissing": "התמונה לא נמצאה:",
+    "celebration.photoMissingLabel": "לא ניתן לטעון את תמונת יום ההולדת",
+    "celebration.slideshow": "מצגת",
+    "celebration.slideCounter": "תמונה {current} מתוך {total}",
+    "celebration.slideGoto": "הצגת תמונה {n}",
+    "celebration.audioNotice": "שיר יום הולדת יתנגן אוטומטית. הקישו M להשתקה.",
+
+    "player.label": "שיר יום הולדת",
+    "player.play": "ניגון השיר",
+    "player.pause": "השהיית השיר",
+    "player.mute": "השתקה",
+    "player.unmute": "ביטול השתקה",
+    "player.volume": "עוצמת קול",
+    "player.seek": "מיקום בשיר",
+    "player.position": "{current} מתוך {total}",
+    "player.tapToPlay": "הקישו כדי לנגן את שיר יום ההולדת",
+    "celebration.wishCarousel": "קרוסלה",
+    "celebration.wishCounter": "ברכה {current} מתוך {total}",
+    "celebration.wishPrev": "הברכה הקודמת",
+    "celebration.wishNext": "הברכה הבאה",
+    "celebration.wishShowAll": "הצגת הכול",
+    "celebration.wishShowOne": "אחת בכל פעם",
+    "celebration.exportVideo": "🎬 שמירת וידאו",
+    "celebration.exportGif": "שמירת GIF",
+    "celebration.exportProgress": "שומרים… {percent}%",
+    "celebration.exportFailed": "מצטערים, השמירה לא הצליחה בדפדפן הזה",
+    "celebration.exportSilent": "נשמר בלי השיר (לא ניתן היה לטעון אותו)",
+    "celebration.replay": "↺ לצפות שוב",
+    "celebration.skipIntro": "דילוג על הפתיח",
+    "celebration.backToGift": "🎁 חזרה למתנה",
+    "effects.reduce": "פחות אפקטים",
+  },
+};
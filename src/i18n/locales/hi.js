@@ -0,0 +1,83 @@
+// hi.js - Hindi strings. Ordinals use the "वाँ" suffix.
+
+export default {
+  name: "हिन्दी",
+  dir: "ltr",
+  ordinal: (n) => `${n}वाँ`,
+  messages: {
+    "home.loading": "लोड हो रहा है...",
+    "home.titleTop": "जन्मदिन की",
+    "home.titleTopAge": "{age}वें जन्मदिन की",
+    "home.titleBottom": "शुभकामनाएँ!",
+    "home.tagline": "एक छोटा-सा सरप्राइज़ — जादू देखने के लिए तोहफ़े पर टैप करें।",
+    "home.taglineNamed": "{name} के लिए एक छोटा-सा सरप्राइज़ — जादू देखने के लिए तोहफ़े पर टैप करें।",
+    "home.tipTouch": "सुझाव: तोहफ़े पर टैप करें",
+    "home.tipPointer": "सुझाव: खोलने के लिए तोहफ़े पर क्लिक या टैप करें",
+    "home.openGift": "तोहफ़ा खोलें",
+    "home.openGiftNamed": "{name} का तोहफ़ा खोलें",
+    "home.locked": "आपका तोहफ़ा खुलने में बाकी है",
+    "home.lockedUntil": "तोहफ़ा {date} को खुलेगा",
+    "home.unitDays": "दिन",
+    "home.unitHours": "घंटे",
+    "home.unitMinutes": "मिनट",
+    "home.unitSeconds": "सेकंड",
+    "home.previewBadge": "प्रीव्यू — बाकी सभी के लिए तोहफ़ा {date} तक बंद रहेगा",
+    "home.taglineOpener": "एक छोटा-सा सरप्राइज़ — जादू देखने के लिए इसे खोलें।",
+    "home.taglineOpenerNamed": "{name} के लिए एक छोटा-सा सरप्राइज़ — जादू देखने के लिए इसे खोलें।",
+    "opener.cake.label": "मोमबत्तियाँ बुझाएँ",
+    "opener.cake.tip": "सुझाव: मोमबत्तियाँ बुझाने के लिए उन पर टैप करें",
+    "opener.cake.mic": "🎤 फूँक मारकर बुझाएँ",
+    "opener.cake.listening": "सुन रहे हैं… फूँकिए!",
+    "opener.cake.micDenied": "माइक्रोफ़ोन नहीं मिला - केक पर टैप करें",
+    "opener.envelope.label": "लिफ़ाफ़ा खोलें",
+    "opener.envelope.tip": "सुझाव: लिफ़ाफ़ा खोलने के लिए उस पर टैप करें",
+    "opener.balloon.label": "गुब्बारा फोड़ें",
+    "opener.balloon.tip": "सुझाव: गुब्बारा फोड़ने के लिए उस पर टैप करें",
+    "opener.scratch.label": "कार्ड खोलें",
+    "opener.scratch.tip": "सुझाव: उंगली या माउस से कार्ड को खुरचें",
+    "opener.scratch.reveal": "दिखाएँ",
+
+    "celebration.loading": "लोड हो रहा है...",
+    "celebration.heading": "जन्मदिन मुबारक!",
+    "celebration.headingNamed": "जन्मदिन मुबारक, {name}!",
+    "celebration.headingAge": "{ageOrdinal} जन्मदिन मुबारक!",
+    "celebration.headingAgeNamed": "{ageOrdinal} जन्मदिन मुबारक, {name}!",
+    "celebration.attribution": "प्यार से बनाया गया",
+    "celebration.attributionNamed": "{name} के लिए प्यार से बनाया गया",
+    "celebration.attributionSender": "{sender} की ओर से प्यार से",
+    "celebration.attributionSenderNamed": "{sender} की ओर से {name} के लिए प्यार से",
+    "celebration.photoAlt": "जन्मदिन की तस्वीर",
+    "celebration.photoAltNamed": "{name} की तस्वीर",
+    "celebration.photoMissing": "तस्वीर नहीं मिली:",
+    "celebration.photoMissingLabel": "जन्मदिन की तस्वीर लोड नहीं हो सकी",
+    "celebration.slideshow": "स्लाइडशो",
+    "celebration.slideCounter": "{total} में से तस्वीर {current}",
+    "celebration.slideGoto": "तस्वीर {n} दिखाएँ",
+    "celebration.audioNotice": "जन्मदिन का गाना अपने-आप बजेगा। म्यूट करने के लिए M दबाएँ।",
+
+    "player.label": "जन्मदिन का गाना",
+    "player.play": "गाना चलाएँ",
+    "player.pause": "गाना रोकें",
+    "player.mute": "म्यूट करें",
+    "player.unmute": "अनम्यूट करें",
+    "player.volume": "आवाज़",
+    "player.seek": "गाने की स्थिति",
+    "player.position": "{total} में से {current}",
+    "player.tapToPlay": "जन्मदिन का गाना चलाने के लिए टैप करें",
+    "celebration.wishCarousel": "कैरोसेल",
+    "celebration.wishCounter": "{total} में से शुभकामना {current}",
+    "celebration.wishPrev": "पिछली शुभकामना",
+    "celebration.wishNext": "अगली शुभकामना",
+    "celebration.wishShowAll": "सभी दिखाएँ",
+    "celebration.wishShowOne": "एक-एक करके",
+    "celebration.exportVideo": "🎬 वीडियो सहेजें",
+    "celebration.exportGif": "GIF सहेजें",
+    "celebration.exportProgress": "सहेजा जा रहा है… {percent}%",
+    "celebration.exportFailed": "माफ़ कीजिए, इस ब्राउज़र में सहेजना नहीं हो पाया",
+    "celebration.exportSilent": "गाने के बिना सहेजा गया (गाना लोड नहीं हो सका)",
+    "celebration.replay": "↺ फिर से देखें",
+    "celebration.skipIntro": "इंट्रो छोड़ें",
+    "celebration.backToGift": "🎁 तोहफ़े पर वापस",
+    "effects.reduce": "इफ़ेक्ट कम करें",
+  },
+};
@@ -0,0 +1,12 @@
+// Locale registry. Add a locale by creating <code>.js next to this file and listing it here.
+
+import en from "./en.js";
+import ar from "./ar.js";
+import he from "./he.js";
+import hi from "./hi.js";
+
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = { en, ar, he, hi };
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
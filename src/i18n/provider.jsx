@@ -0,0 +1,11 @@
+// provider.jsx
+// Provides a translator for `locale` to everything below it (see useI18n).
+
+import React, { useMemo } from "react";
+import { I18nContext } from "./context.js";
+import { createTranslator } from "./translator.js";
+
+export default function I18nProvider({ locale, children }) {
+  const value = useMemo(() => createTranslator(locale), [locale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
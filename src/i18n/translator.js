@@ -0,0 +1,37 @@
+// translator.js
+// Builds the `t()` function for a locale. Missing keys fall back to English,
+// then to the key itself so a typo is visible instead of blank.
+
+import { fillTemplate } from "../lib/text.js";
+import { DEFAULT_LOCALE, LOCALES } from "./locales/index.js";
+
+/**
+ * resolveLocale - first supported locale among `candidates`, matching on the
+ * language subtag too ("ar-EG" -> "ar"). Empty/unknown values are skipped.
+ */
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const code = String(candidate).toLowerCase();
+    if (LOCALES[code]) return code;
+    const base = code.split(/[-_]/)[0];
+    if (LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const pack = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const fallback = LOCALES[DEFAULT_LOCALE].messages;
+
+  // Raw template, for callers that need to style individual placeholders (see templateParts)
+  function template(key) {
+    return pack.messages[key] ?? fallback[key] ?? key;
+  }
+
+  function t(key, vars = {}) {
+    return fillTemplate(template(key), vars);
+  }
+
+  return { locale, dir: pack.dir, ordinal: pack.ordinal, template, t };
+}
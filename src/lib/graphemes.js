@@ -0,0 +1,15 @@
+// graphemes.js
+// Split text into user-perceived characters so the typing effect never shows
+// half an emoji, a lone combining mark or a broken ZWJ sequence.
+
+const segmenters = new Map();
+
+export function splitGraphemes(text, locale) {
+  if (typeof Intl === "undefined" || !Intl.Segmenter) return Array.from(text);
+  let segmenter = segmenters.get(locale);
+  if (!segmenter) {
+    segmenter = new Intl.Segmenter(locale, { granularity: "grapheme" });
+    segmenters.set(locale, segmenter);
+  }
+  return Array.from(segmenter.segment(text), (s) => s.segment);
+}
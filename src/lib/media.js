@@ -0,0 +1,61 @@
+// media.js
+// Shared helpers for <audio>/<video> playback on the celebration page.
+
+/**
+ * playWithFallback - the autoplay strategy used for the song and video greetings:
+ *  1) play while muted (muted autoplay is allowed by most browsers)
+ *  2) if that works and the caller doesn't want it muted, unmute
+ *  3) if playing fails altogether, report "blocked" so the caller can ask for a gesture
+ *
+ * Resolves to "playing" (audible), "muted" (playing but silent), "blocked" or
+ * "cancelled" (isCancelled() turned true while waiting on play()).
+ */
+export async function playWithFallback(media, { muted = false, isCancelled = () => false } = {}) {
+  try {
+    media.muted = true; // start muted to increase autoplay probability
+    const p = media.play();
+    if (p !== undefined) await p;
+  } catch {
+    // muted autoplay blocked or failed — caller shows the play prompt
+    return isCancelled() ? "cancelled" : "blocked";
+  }
+  if (isCancelled()) return "cancelled";
+  if (muted) return "muted";
+  // Some browsers may refuse to unmute without a gesture; leave it muted then.
+  try {
+    media.muted = false;
+    return "playing";
+  } catch {
+    return "muted";
+  }
+}
+
+/**
+ * fadeVolume - ramp media.volume to `target` over `ms`. Returns a cancel
+ * function; starting a new fade on the same element cancels the previous one.
+ */
+const activeFades = new WeakMap();
+
+export function fadeVolume(media, target, ms = 400) {
+  const cancelPrevious = activeFades.get(media);
+  if (cancelPrevious) cancelPrevious();
+
+  const from = media.volume;
+  const start = performance.now();
+  let frame = null;
+
+  const step = (now) => {
+    const progress = ms > 0 ? Math.min(1, (now - start) / ms) : 1;
+    media.volume = from + (target - from) * progress;
+    if (progress < 1) frame = requestAnimationFrame(step);
+    else activeFades.delete(media);
+  };
+  frame = requestAnimationFrame(step);
+
+  const cancel = () => {
+    cancelAnimationFrame(frame);
+    activeFades.delete(media);
+  };
+  activeFades.set(media, cancel);
+  return cancel;
+}
@@ -0,0 +1,83 @@
+// motion.js
+// Animation helpers shared by the pages.
+
+import { useSyncExternalStore } from "react";
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+const STORAGE_KEY = "birthday:reduce-effects";
+
+// The recipient's own choice from the "reduce effects" toggle: true / false, or null to
+// follow the system setting. Kept in localStorage so it holds across visits.
+function readSetting() {
+  try {
+    const value = window.localStorage.getItem(STORAGE_KEY);
+    return value === "on" ? true : value === "off" ? false : null;
+  } catch {
+    return null;
+  }
+}
+
+const hasWindow = typeof window !== "undefined";
+const systemQuery = hasWindow && window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+let setting = hasWindow ? readSetting() : null;
+const listeners = new Set();
+
+function reduceEffects() {
+  return setting ?? Boolean(systemQuery?.matches);
+}
+
+// The stylesheets key their reduced-motion rules off this attribute rather than the media
+// query, so the toggle turns CSS animations off (and back on) as well
+function applyToDocument() {
+  if (typeof document !== "undefined") document.documentElement.toggleAttribute("data-reduce-effects", reduceEffects());
+}
+
+function notify() {
+  applyToDocument();
+  listeners.forEach((listener) => listener());
+}
+
+applyToDocument();
+systemQuery?.addEventListener("change", notify);
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * usePrefersReducedMotion - true while effects should be kept down: the "reduce effects"
+ * toggle when the recipient used it, otherwise the OS/browser setting. Follows changes
+ * to either without a reload.
+ */
+export function usePrefersReducedMotion() {
+  return useSyncExternalStore(subscribe, reduceEffects, () => false);
+}
+
+/** setReduceEffects - the toggle: true / false, or null to follow the system again. */
+export function setReduceEffects(value) {
+  setting = value;
+  try {
+    if (value === null) window.localStorage.removeItem(STORAGE_KEY);
+    else window.localStorage.setItem(STORAGE_KEY, value ? "on" : "off");
+  } catch {
+    // storage unavailable (private mode): the choice lasts for this visit
+  }
+  notify();
+}
+
+/**
+ * restartAnimation - (re)plays the CSS animation attached to `className` on `el`,
+ * even if it is already running. With `{ once: true }` the class is dropped again
+ * when the animation ends, handing the element back to its resting animation.
+ */
+export function restartAnimation(el, className, { once = false } = {}) {
+  if (!el) return;
+  el.classList.remove(className);
+  // force reflow so re-adding the class starts the animation from the top
+  void el.offsetWidth;
+  el.classList.add(className);
+  if (once) {
+    el.addEventListener("animationend", () => el.classList.remove(className), { once: true });
+  }
+}
@@ -0,0 +1,15 @@
+// random.js
+// seededRandom(seed) - a small deterministic PRNG (mulberry32) with Math.random's
+// interface, for anything that has to come out the same twice (e.g. confetti in an
+// exported video).
+
+export function seededRandom(seed = 1) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
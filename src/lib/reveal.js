@@ -0,0 +1,34 @@
+// reveal.js
+// The celebration's reveal choreography as timeline steps (lib/timeline.js), so the page
+// and the video/GIF export (src/export) play exactly the same sequence.
+//
+// sequenceState goes "init" -> "image" -> "heading" -> "typing" -> "done"; each step
+// lasts `duration` ms. The message types one grapheme per TYPING_INTERVAL_MS once
+// "typing" starts, and the confetti shower falls on steps marked `confetti`.
+// Themes can retime or restyle steps with a `reveal` map (see src/themes/index.js).
+
+import { stepStart } from "./timeline.js";
+
+export const REVEAL_STEPS = [
+  { name: "init", duration: 100 },
+  { name: "image", duration: 420 },
+  { name: "heading", duration: 380 },
+  { name: "typing", duration: 1100 },
+  { name: "done", confetti: true },
+];
+
+export const TYPING_INTERVAL_MS = 35;
+
+/**
+ * revealStepsFor - REVEAL_STEPS with a theme's overrides applied, e.g.
+ * `reveal: { image: { duration: 300 }, done: { confetti: false } }`.
+ */
+export function revealStepsFor(theme) {
+  const overrides = (theme && theme.reveal) || {};
+  return REVEAL_STEPS.map((step) => (overrides[step.name] ? { ...step, ...overrides[step.name] } : step));
+}
+
+/** revealStepAt - when `state` starts (ms after mount) in `steps` */
+export function revealStepAt(state, steps = REVEAL_STEPS) {
+  return stepStart(steps, state);
+}
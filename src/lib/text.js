@@ -0,0 +1,51 @@
+// text.js
+// Small helpers for the templated strings shown on Home / Celebration.
+// Templates use {placeholders}, e.g. "Happy {ageOrdinal} Birthday {name}!".
+
+/**
+ * templateParts - split a template into literal text and placeholder parts so
+ * callers can style individual values (e.g. bold the name) without
+ * dangerouslySetInnerHTML. Unknown or empty placeholders render as "".
+ */
+export function templateParts(template, vars) {
+  const parts = [];
+  const re = /\{(\w+)\}/g;
+  let last = 0;
+  let match;
+  while ((match = re.exec(template))) {
+    if (match.index > last) parts.push({ text: template.slice(last, match.index) });
+    const value = vars[match[1]];
+    parts.push({ text: value === undefined || value === null ? "" : String(value), key: match[1] });
+    last = re.lastIndex;
+  }
+  if (last < template.length) parts.push({ text: template.slice(last) });
+  return parts;
+}
+
+export function fillTemplate(template, vars) {
+  return templateParts(template, vars).map((p) => p.text).join("");
+}
+
+// English ordinal suffix: 1st, 2nd, 3rd, 4th, 11th, 21st...
+export function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th"}`;
+}
+
+/**
+ * ageFromDate - the age being celebrated this year for a "YYYY-MM-DD" birth
+ * date. Returns null for "MM-DD" dates (no year, no age).
+ */
+export function ageFromDate(date, now = new Date()) {
+  const match = typeof date === "string" && date.match(/^(\d{4})-\d{2}-\d{2}$/);
+  if (!match) return null;
+  const age = now.getFullYear() - Number(match[1]);
+  return age > 0 ? age : null;
+}
+
+// Placeholder values shared by every template on both pages.
+// `toOrdinal` comes from the active locale (English by default).
+export function greetingVars({ name = "", sender = "", age = null }, toOrdinal = ordinal) {
+  return { name, sender, age: age ?? "", ageOrdinal: age ? toOrdinal(age) : "" };
+}
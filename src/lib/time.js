@@ -0,0 +1,79 @@
+// time.js
+// Date/time helpers for the scheduled reveal (`revealAt` + `timezone` in a recipient config).
+// Pure functions: the current time is always passed in, never read here.
+
+const LOCAL_DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const HAS_OFFSET = /(?:Z|[+-]\d{2}:\d{2})$/i;
+
+const formatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/** zoneOffset - how far `timeZone`'s wall clock is ahead of UTC at the instant `utcMs`, in ms. */
+export function zoneOffset(utcMs, timeZone) {
+  const parts = {};
+  zoneFormatter(timeZone)
+    .formatToParts(new Date(utcMs))
+    .forEach((part) => {
+      parts[part.type] = Number(part.value);
+    });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * revealInstant - the UTC timestamp (ms) for a config's `revealAt`, or null when unset.
+ *  - "2026-03-14T09:00+05:30" / "...Z": the offset wins
+ *  - "2026-03-14T09:00" (or "2026-03-14" = midnight) in `timeZone` (IANA name), or the
+ *    visitor's own time zone when none is given
+ */
+export function revealInstant(revealAt, timeZone) {
+  if (!revealAt) return null;
+  if (HAS_OFFSET.test(revealAt)) return Date.parse(revealAt);
+  const m = revealAt.match(LOCAL_DATETIME);
+  if (!m) return null;
+  const [year, month, day, hour = 0, minute = 0, second = 0] = m.slice(1).map((v) => (v === undefined ? undefined : Number(v)));
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second).getTime();
+
+  // Treat the wall time as UTC, then correct by the zone's offset; the second pass
+  // settles times near a DST change where the offset differs on either side.
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = guess - zoneOffset(guess, timeZone);
+  const offset = zoneOffset(first, timeZone);
+  return guess - offset;
+}
+
+/** timeUntil - the countdown from `nowMs` to `targetMs`, clamped at zero. */
+export function timeUntil(targetMs, nowMs) {
+  const total = Math.max(0, targetMs - nowMs);
+  const seconds = Math.ceil(total / 1000);
+  return {
+    total,
+    days: Math.floor(seconds / 86400),
+    hours: Math.floor((seconds % 86400) / 3600),
+    minutes: Math.floor((seconds % 3600) / 60),
+    seconds: seconds % 60,
+  };
+}
+
+/** formatInstant - a long, localized date + time for `ms`, shown in `timeZone` (default: the visitor's). */
+export function formatInstant(ms, locale, timeZone) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: "long", timeStyle: "short", timeZone }).format(new Date(ms));
+}
@@ -0,0 +1,65 @@
+// time.test.js
+// The scheduled reveal's date math: revealAt in a named zone, explicit offsets, DST.
+
+import { describe, expect, it } from "vitest";
+import { revealInstant, timeUntil, zoneOffset } from "./time.js";
+
+const HOUR = 3600 * 1000;
+
+describe("revealInstant", () => {
+  it("reads an offset-less revealAt as wall time in the config's timezone", () => {
+    expect(revealInstant("2026-03-14T09:00", "Asia/Kolkata")).toBe(Date.parse("2026-03-14T03:30:00Z"));
+    expect(revealInstant("2026-03-14T09:00:30", "America/New_York")).toBe(Date.parse("2026-03-14T13:00:30Z"));
+  });
+
+  it("treats a bare date as midnight in the timezone", () => {
+    expect(revealInstant("2026-03-14", "Asia/Kolkata")).toBe(Date.parse("2026-03-13T18:30:00Z"));
+  });
+
+  it("lets an explicit offset win over the timezone", () => {
+    expect(revealInstant("2026-03-14T09:00+05:30", "America/New_York")).toBe(Date.parse("2026-03-14T03:30:00Z"));
+    expect(revealInstant("2026-03-14T09:00Z", "Asia/Kolkata")).toBe(Date.parse("2026-03-14T09:00:00Z"));
+  });
+
+  it("uses the offset in force on the day, either side of a DST change", () => {
+    // New York springs forward on 2026-03-08 (EST -5 to EDT -4)
+    expect(revealInstant("2026-03-07T12:00", "America/New_York")).toBe(Date.parse("2026-03-07T17:00:00Z"));
+    expect(revealInstant("2026-03-08T12:00", "America/New_York")).toBe(Date.parse("2026-03-08T16:00:00Z"));
+    // and falls back on 2026-11-01
+    expect(revealInstant("2026-11-01T12:00", "America/New_York")).toBe(Date.parse("2026-11-01T17:00:00Z"));
+    // London's change falls on a different day (2026-03-29)
+    expect(revealInstant("2026-03-28T09:00", "Europe/London")).toBe(Date.parse("2026-03-28T09:00:00Z"));
+    expect(revealInstant("2026-03-29T09:00", "Europe/London")).toBe(Date.parse("2026-03-29T08:00:00Z"));
+  });
+
+  it("is null without a revealAt or for one it can't read", () => {
+    expect(revealInstant(undefined, "Asia/Kolkata")).toBeNull();
+    expect(revealInstant("next tuesday", "Asia/Kolkata")).toBeNull();
+  });
+});
+
+describe("zoneOffset", () => {
+  it("is the zone's offset from UTC at that instant", () => {
+    expect(zoneOffset(Date.parse("2026-01-15T12:00:00Z"), "Asia/Kolkata")).toBe(5.5 * HOUR);
+    expect(zoneOffset(Date.parse("2026-01-15T12:00:00Z"), "America/New_York")).toBe(-5 * HOUR);
+    expect(zoneOffset(Date.parse("2026-07-15T12:00:00Z"), "America/New_York")).toBe(-4 * HOUR);
+  });
+});
+
+describe("timeUntil", () => {
+  const target = Date.parse("2026-03-14T03:30:00Z");
+
+  it("splits the time left into days, hours, minutes and seconds", () => {
+    const now = target - (2 * 86400 + 3 * 3600 + 4 * 60 + 5) * 1000;
+    expect(timeUntil(target, now)).toEqual({ total: target - now, days: 2, hours: 3, minutes: 4, seconds: 5 });
+  });
+
+  it("rounds a part second up, so it never shows 0 while still locked", () => {
+    expect(timeUntil(target, target - 1)).toMatchObject({ total: 1, seconds: 1 });
+  });
+
+  it("stops at zero once the target has passed", () => {
+    expect(timeUntil(target, target)).toEqual({ total: 0, days: 0, hours: 0, minutes: 0, seconds: 0 });
+    expect(timeUntil(target, target + HOUR).total).toBe(0);
+  });
+});
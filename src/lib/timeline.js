@@ -0,0 +1,181 @@
+// timeline.js
+// Timeline - a small sequencer for choreography (the celebration's reveal, opening the gift).
+//
+// A timeline is a list of named steps played one after another:
+//
+//   new Timeline([
+//     { name: "init", duration: 100 },
+//     { name: "image", duration: 420 },
+//     { name: "lid", until: () => animationEnd(lidEl, "lidFlipOpen"), duration: 2400 },
+//     { name: "done" },
+//   ])
+//
+//  - duration: ms until the next step starts. A step without one (usually the last)
+//    stays until something moves the timeline on.
+//  - until: () => Promise - the step ends when it resolves; `duration` is then the
+//    fallback in case it never does (e.g. an animation that didn't run).
+// Each step entered dispatches a "step" event ({ detail: { name, step, index } }); the
+// last one also dispatches "end". play / pause / resume / next / skip / replay / stop
+// drive it. Timers come from `options.timers` and the clock from `options.now` (default:
+// the globals, looked up at call time so fake timers work).
+
+const IDLE = "idle";
+const RUNNING = "running";
+const PAUSED = "paused";
+const ENDED = "ended";
+
+export class Timeline extends EventTarget {
+  constructor(steps, { timers = globalThis, now = () => Date.now() } = {}) {
+    super();
+    this.steps = steps;
+    this.timers = timers;
+    this.now = now;
+    this.index = -1;
+    this.status = IDLE;
+    this._timer = null;
+    this._stepStartedAt = 0;
+    this._remaining = null;
+    // An `until` that resolved while paused
+    this._untilDone = false;
+    // Bumped on every move so a late `until` from an old step is ignored
+    this._generation = 0;
+  }
+
+  /** The current step's name, or null before play() */
+  get current() {
+    return this.index >= 0 ? this.steps[this.index].name : null;
+  }
+
+  get paused() {
+    return this.status === PAUSED;
+  }
+
+  get ended() {
+    return this.status === ENDED;
+  }
+
+  /** Start from the first step (or resume when paused). */
+  play() {
+    if (this.status === PAUSED) return this.resume();
+    if (this.status === RUNNING) return;
+    this._enter(0);
+  }
+
+  pause() {
+    if (this.status !== RUNNING) return;
+    this._clearTimer();
+    const step = this.steps[this.index];
+    if (step.duration !== undefined) {
+      const elapsed = this.now() - this._stepStartedAt;
+      this._remaining = Math.max(0, step.duration - elapsed);
+    }
+    this.status = PAUSED;
+  }
+
+  resume() {
+    if (this.status !== PAUSED) return;
+    this.status = RUNNING;
+    if (this._untilDone) return this.next();
+    if (this._remaining !== null) this._schedule(this._remaining);
+    this._remaining = null;
+  }
+
+  /** Move on to the next step now. */
+  next() {
+    if (this.index < this.steps.length - 1) this._enter(this.index + 1);
+  }
+
+  /** Jump straight to the last step. */
+  skip() {
+    if (this.index < this.steps.length - 1) this._enter(this.steps.length - 1);
+  }
+
+  /** Start over from the first step. */
+  replay() {
+    this.stop();
+    this._enter(0);
+  }
+
+  /** Stop without moving on; play() starts over. */
+  stop() {
+    this._clearTimer();
+    this._generation += 1;
+    this.index = -1;
+    this.status = IDLE;
+    this._remaining = null;
+    this._untilDone = false;
+  }
+
+  _enter(index) {
+    this._clearTimer();
+    const generation = ++this._generation;
+    const step = this.steps[index];
+    this.index = index;
+    this._remaining = null;
+    this._untilDone = false;
+    this._stepStartedAt = this.now();
+    const last = index === this.steps.length - 1;
+    this.status = last ? ENDED : RUNNING;
+
+    this.dispatchEvent(new CustomEvent("step", { detail: { name: step.name, step, index } }));
+    // A listener may already have moved the timeline on
+    if (generation !== this._generation) return;
+    if (last) {
+      this.dispatchEvent(new Event("end"));
+      return;
+    }
+    if (step.duration !== undefined) this._schedule(step.duration);
+    if (step.until) {
+      Promise.resolve(step.until()).then(
+        () => {
+          if (generation !== this._generation) return;
+          if (this.status === PAUSED) this._untilDone = true;
+          else this.next();
+        },
+        () => {}
+      );
+    }
+  }
+
+  _schedule(ms) {
+    const generation = this._generation;
+    this._timer = this.timers.setTimeout(() => {
+      this._timer = null;
+      if (generation === this._generation) this.next();
+    }, ms);
+  }
+
+  _clearTimer() {
+    if (this._timer !== null) this.timers.clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+/**
+ * stepStart - ms from the start of `steps` until `name` begins (null if it
+ * isn't one of them); for things that replay a timeline off-line, like the export.
+ */
+export function stepStart(steps, name) {
+  let at = 0;
+  for (const step of steps) {
+    if (step.name === name) return at;
+    at += step.duration ?? 0;
+  }
+  return null;
+}
+
+/**
+ * animationEnd - resolves when `element` finishes the CSS animation `name` (any
+ * animation if no name is given); for a step's `until`.
+ */
+export function animationEnd(element, name) {
+  return new Promise((resolve) => {
+    if (!element) return resolve();
+    const onEnd = (e) => {
+      if (e.target !== element || (name && e.animationName !== name)) return;
+      element.removeEventListener("animationend", onEnd);
+      resolve();
+    };
+    element.addEventListener("animationend", onEnd);
+  });
+}
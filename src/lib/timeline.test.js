@@ -0,0 +1,192 @@
+// timeline.test.js
+// Timeline against fake timers: step order, pause/resume, skip, replay and waiting on
+// an animation's end (with a plain EventTarget standing in for the element).
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { Timeline, animationEnd, stepStart } from "./timeline.js";
+
+const STEPS = [
+  { name: "init", duration: 100 },
+  { name: "image", duration: 400 },
+  { name: "text", duration: 500 },
+  { name: "done" },
+];
+
+// A timeline plus the names of the steps it entered, in order
+function record(steps, options) {
+  const timeline = new Timeline(steps, options);
+  const entered = [];
+  timeline.addEventListener("step", (e) => entered.push(e.detail.name));
+  return { timeline, entered };
+}
+
+function animationEndEvent(name) {
+  const event = new Event("animationend");
+  event.animationName = name;
+  return event;
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("Timeline", () => {
+  it("plays the steps in order, each after the previous one's duration", () => {
+    const { timeline, entered } = record(STEPS);
+    const onEnd = vi.fn();
+    timeline.addEventListener("end", onEnd);
+
+    timeline.play();
+    expect(entered).toEqual(["init"]);
+    vi.advanceTimersByTime(99);
+    expect(timeline.current).toBe("init");
+    vi.advanceTimersByTime(1);
+    expect(entered).toEqual(["init", "image"]);
+    vi.advanceTimersByTime(400);
+    expect(entered).toEqual(["init", "image", "text"]);
+    expect(onEnd).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(500);
+    expect(entered).toEqual(["init", "image", "text", "done"]);
+    expect(timeline.ended).toBe(true);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps the rest of a step's duration across pause and resume", () => {
+    const { timeline, entered } = record(STEPS);
+    timeline.play();
+    vi.advanceTimersByTime(100 + 150);
+    timeline.pause();
+    expect(timeline.paused).toBe(true);
+
+    vi.advanceTimersByTime(5000);
+    expect(entered).toEqual(["init", "image"]);
+
+    timeline.resume();
+    vi.advanceTimersByTime(249);
+    expect(timeline.current).toBe("image");
+    vi.advanceTimersByTime(1);
+    expect(timeline.current).toBe("text");
+  });
+
+  it("play() resumes a paused timeline instead of starting over", () => {
+    const { timeline, entered } = record(STEPS);
+    timeline.play();
+    vi.advanceTimersByTime(100);
+    timeline.pause();
+    timeline.play();
+    vi.advanceTimersByTime(400);
+    expect(entered).toEqual(["init", "image", "text"]);
+  });
+
+  it("skip() jumps to the last step and cancels the pending timer", () => {
+    const { timeline, entered } = record(STEPS);
+    timeline.play();
+    timeline.skip();
+    expect(entered).toEqual(["init", "done"]);
+    expect(timeline.ended).toBe(true);
+
+    vi.advanceTimersByTime(5000);
+    expect(entered).toEqual(["init", "done"]);
+  });
+
+  it("replay() starts over from the first step", () => {
+    const { timeline, entered } = record(STEPS);
+    timeline.play();
+    vi.advanceTimersByTime(1000);
+    expect(timeline.ended).toBe(true);
+
+    timeline.replay();
+    expect(timeline.current).toBe("init");
+    vi.advanceTimersByTime(1000);
+    expect(entered).toEqual(["init", "image", "text", "done", "init", "image", "text", "done"]);
+  });
+
+  it("a replay mid-step drops the old step's timer", () => {
+    const { timeline, entered } = record(STEPS);
+    timeline.play();
+    vi.advanceTimersByTime(150);
+    timeline.replay();
+    vi.advanceTimersByTime(99);
+    expect(entered).toEqual(["init", "image", "init"]);
+  });
+
+  describe("waiting on an animation's end", () => {
+    const lid = () => new EventTarget();
+
+    function lidSteps(element) {
+      return [
+        { name: "opening", until: () => animationEnd(element, "lidFlipOpen"), duration: 2400 },
+        { name: "opened" },
+      ];
+    }
+
+    it("moves on as soon as the named animation ends", async () => {
+      const element = lid();
+      const { timeline } = record(lidSteps(element));
+      timeline.play();
+
+      element.dispatchEvent(animationEndEvent("giftBounce"));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(timeline.current).toBe("opening");
+
+      element.dispatchEvent(animationEndEvent("lidFlipOpen"));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(timeline.current).toBe("opened");
+    });
+
+    it("falls back to the duration when the animation never ends", async () => {
+      const { timeline } = record(lidSteps(lid()));
+      timeline.play();
+      await vi.advanceTimersByTimeAsync(2399);
+      expect(timeline.current).toBe("opening");
+      await vi.advanceTimersByTimeAsync(1);
+      expect(timeline.current).toBe("opened");
+    });
+
+    it("holds an animation that ends while paused until resume", async () => {
+      const element = lid();
+      const { timeline } = record(lidSteps(element));
+      timeline.play();
+      timeline.pause();
+
+      element.dispatchEvent(animationEndEvent("lidFlipOpen"));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(timeline.current).toBe("opening");
+
+      timeline.resume();
+      expect(timeline.current).toBe("opened");
+    });
+
+    it("ignores an animation end from a step that was already left", async () => {
+      const element = lid();
+      const steps = [...lidSteps(element).slice(0, 1), { name: "hold", duration: 1000 }, { name: "opened" }];
+      const { timeline, entered } = record(steps);
+      timeline.play();
+      timeline.next();
+
+      element.dispatchEvent(animationEndEvent("lidFlipOpen"));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(entered).toEqual(["opening", "hold"]);
+    });
+  });
+
+  it("uses injected timers and clock when given", () => {
+    const timers = { setTimeout: vi.fn(() => 1), clearTimeout: vi.fn() };
+    const timeline = new Timeline(STEPS, { timers, now: () => 0 });
+    timeline.play();
+    expect(timers.setTimeout).toHaveBeenCalledWith(expect.any(Function), 100);
+  });
+});
+
+describe("stepStart", () => {
+  it("adds up the durations before a step", () => {
+    expect(stepStart(STEPS, "init")).toBe(0);
+    expect(stepStart(STEPS, "text")).toBe(500);
+    expect(stepStart(STEPS, "done")).toBe(1000);
+    expect(stepStart(STEPS, "missing")).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+// use-countdown.js
+// useCountdown - a ticking countdown to `targetMs` (see lib/time.js).
+// `now` is injectable so the countdown can run against a fake clock.
+
+import { useEffect, useState } from "react";
+import { timeUntil } from "./time.js";
+
+/**
+ * Returns { locked, total, days, hours, minutes, seconds }; `locked` stays true
+ * until the target passes. A null target is never locked.
+ */
+export function useCountdown(targetMs, { now = Date.now, interval = 1000 } = {}) {
+  const [remaining, setRemaining] = useState(() => (targetMs == null ? null : timeUntil(targetMs, now())));
+
+  useEffect(() => {
+    if (targetMs == null) {
+      setRemaining(null);
+      return;
+    }
+    const tick = () => {
+      const next = timeUntil(targetMs, now());
+      setRemaining(next);
+      return next.total > 0;
+    };
+    if (!tick()) return;
+    const timer = setInterval(() => {
+      if (!tick()) clearInterval(timer);
+    }, interval);
+    return () => clearInterval(timer);
+  }, [targetMs, now, interval]);
+
+  if (!remaining) return { locked: false, total: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+  return { locked: remaining.total > 0, ...remaining };
+}
@@ -0,0 +1,79 @@
+// @vitest-environment jsdom
+// use-countdown.test.jsx
+// useCountdown against a fixed, then advancing, fake clock: it ticks down and unlocks at zero.
+
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { useCountdown } from "./use-countdown.js";
+import { revealInstant } from "./time.js";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const TARGET = revealInstant("2026-03-14T09:00", "Asia/Kolkata");
+// Date.now() is faked along with the timers
+const clock = () => Date.now();
+
+// Renders the hook and hands back its latest result
+function renderCountdown(target, options) {
+  const result = { current: null };
+  function Probe() {
+    result.current = useCountdown(target, options);
+    return null;
+  }
+  const root = createRoot(document.createElement("div"));
+  act(() => root.render(<Probe />));
+  return { result, unmount: () => act(() => root.unmount()) };
+}
+
+let view;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  view?.unmount();
+  view = null;
+  vi.useRealTimers();
+});
+
+describe("useCountdown", () => {
+  it("is locked before the target, with the time left split up", () => {
+    vi.setSystemTime(TARGET - (86400 + 2 * 3600 + 3 * 60 + 4) * 1000);
+    view = renderCountdown(TARGET, { now: clock });
+    expect(view.result.current).toMatchObject({ locked: true, days: 1, hours: 2, minutes: 3, seconds: 4 });
+  });
+
+  it("ticks down every interval and unlocks when it reaches zero", () => {
+    vi.setSystemTime(TARGET - 3000);
+    view = renderCountdown(TARGET, { now: clock });
+    expect(view.result.current).toMatchObject({ locked: true, seconds: 3 });
+
+    act(() => vi.advanceTimersByTime(1000));
+    expect(view.result.current).toMatchObject({ locked: true, seconds: 2 });
+
+    act(() => vi.advanceTimersByTime(2000));
+    expect(view.result.current).toMatchObject({ locked: false, total: 0, seconds: 0 });
+    // Nothing left ticking once it's open
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("is open right away when the target has already passed", () => {
+    vi.setSystemTime(TARGET + 1000);
+    view = renderCountdown(TARGET, { now: clock });
+    expect(view.result.current.locked).toBe(false);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("is never locked without a target", () => {
+    view = renderCountdown(null, { now: clock });
+    expect(view.result.current).toEqual({ locked: false, total: 0, days: 0, hours: 0, minutes: 0, seconds: 0 });
+  });
+
+  it("reads the injected clock, not the system time", () => {
+    const fixed = () => TARGET - 90 * 1000;
+    view = renderCountdown(TARGET, { now: fixed });
+    expect(view.result.current).toMatchObject({ locked: true, minutes: 1, seconds: 30 });
+  });
+});
@@ -0,0 +1,30 @@
+// use-route-focus.js
+// useRouteFocus() - a callback ref for a page's main heading: after a client-side
+// navigation, focus moves there, so keyboard and screen-reader users start on the new
+// page instead of wherever the old one left them.
+//
+//   const focusRef = useRouteFocus();
+//   <h1 ref={focusRef} tabIndex={-1}>...</h1>
+//
+// The first page load keeps the browser's own focus handling. Each navigation focuses
+// once: the first heading that mounts claims it, so remounts (a page swapping its
+// loading state for content, the builder's previews) don't steal focus again.
+
+import { useCallback } from "react";
+import { useLocation } from "react-router-dom";
+
+// The router gives the initial location this key
+const INITIAL_KEY = "default";
+let focusedKey = INITIAL_KEY;
+
+export function useRouteFocus() {
+  const { key } = useLocation();
+  return useCallback(
+    (el) => {
+      if (!el || key === focusedKey) return;
+      focusedKey = key;
+      el.focus({ preventScroll: true });
+    },
+    [key]
+  );
+}
@@ -0,0 +1,37 @@
+// use-timeline.js
+// useTimeline(steps, { autoplay, onStep }) - runs a Timeline (lib/timeline.js) for a
+// component: returns { step, timeline } where `step` is the current step's name (null
+// before it starts) and re-renders as it changes. onStep(step) runs as each step is
+// entered (confetti, navigation...). A new `steps` array starts a new timeline, so
+// memoize it.
+
+import { useEffect, useRef, useState } from "react";
+import { Timeline } from "./timeline.js";
+
+export function useTimeline(steps, { autoplay = true, onStep } = {}) {
+  const [timeline, setTimeline] = useState(null);
+  const [step, setStep] = useState(null);
+  const onStepRef = useRef(onStep);
+
+  useEffect(() => {
+    onStepRef.current = onStep;
+  });
+
+  useEffect(() => {
+    const next = new Timeline(steps);
+    const handle = (e) => {
+      setStep(e.detail.name);
+      onStepRef.current?.(e.detail.step);
+    };
+    next.addEventListener("step", handle);
+    setTimeline(next);
+    setStep(null);
+    if (autoplay) next.play();
+    return () => {
+      next.removeEventListener("step", handle);
+      next.stop();
+    };
+  }, [steps, autoplay]);
+
+  return { step, timeline };
+}
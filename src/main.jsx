@@ -1,15 +1,24 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import { BrowserRouter } from 'react-router-dom'
+import { BrowserRouter, HashRouter } from 'react-router-dom'
 import App from './App.jsx'
+import { registerServiceWorker } from './pwa/register.js'
 import './index.css'
+import './themes/themes.css'
 import './pages/home.styles.css'
 import './pages/celebration.styles.css'
+import './pages/create.styles.css'
+
+registerServiceWorker()
+
+// The single-file export (scripts/export.js) is opened from file://, where only the
+// hash can change without loading another file
+const Router = import.meta.env.MODE === 'standalone' ? HashRouter : BrowserRouter
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <BrowserRouter>
+    <Router>
       <App />
-    </BrowserRouter>
+    </Router>
   </React.StrictMode>,
 )
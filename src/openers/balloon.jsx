@@ -0,0 +1,34 @@
+// balloon.jsx
+// A floating balloon: tap it to pop it. The `balloonPop` animation completes the
+// opener (see openers/index.js).
+
+import React, { useRef } from "react";
+
+export default function BalloonOpener({ opening, locked, label, onStart, onDone }) {
+  const balloonRef = useRef(null);
+
+  return (
+    <div className={`opener balloon-opener ${opening ? "balloon-popped" : ""} ${locked ? "" : "balloon-float"}`}>
+      <button
+        type="button"
+        className="opener-btn balloon touch-manipulation"
+        onClick={() => onStart(balloonRef.current)}
+        aria-label={label}
+        disabled={locked || opening}
+      >
+        <span
+          ref={balloonRef}
+          className="balloon-body"
+          onAnimationEnd={(e) => {
+            if (e.animationName === "balloonPop") onDone();
+          }}
+          aria-hidden
+        >
+          <span className="balloon-shine" />
+          <span className="balloon-knot" />
+        </span>
+        <span className="balloon-string" aria-hidden />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+// cake.jsx
+// A birthday cake: tap it - or blow into the microphone - and the candles go out one
+// after another. The last flame's `flameOut` animation completes the opener (see
+// openers/index.js). The microphone is only opened when the recipient asks for it;
+// without one (or without permission) tapping still works.
+
+import React, { useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n/context.js";
+import { listenForBlow } from "../audio/blow-detector.js";
+
+const CANDLES = 3;
+
+export default function CakeOpener({ opening, locked, label, onStart, onDone }) {
+  const { t } = useI18n();
+  const candlesRef = useRef(null);
+  const stopMicRef = useRef(null);
+  // Set once the cake is opening or gone: a microphone that opens after that is closed again
+  const micCancelledRef = useRef(false);
+  // "off" | "asking" | "listening" | "denied"
+  const [mic, setMic] = useState("off");
+  const [blow, setBlow] = useState(0);
+
+  const blowOut = () => onStart(candlesRef.current);
+
+  async function startMic() {
+    setMic("asking");
+    let stop;
+    try {
+      stop = await listenForBlow({
+        onProgress: setBlow,
+        onBlow: () => {
+          stopMicRef.current = null;
+          setMic("off");
+          blowOut();
+        },
+      });
+    } catch {
+      if (!micCancelledRef.current) setMic("denied");
+      return;
+    }
+    // The permission prompt may have stayed open past the opening or the unmount
+    if (micCancelledRef.current) {
+      stop();
+      return;
+    }
+    stopMicRef.current = stop;
+    setMic("listening");
+  }
+
+  // Release the microphone once the cake is opening or the page goes away
+  function cancelMic() {
+    micCancelledRef.current = true;
+    stopMicRef.current?.();
+    stopMicRef.current = null;
+  }
+  useEffect(() => {
+    if (opening) cancelMic();
+    else micCancelledRef.current = false;
+  }, [opening]);
+  useEffect(() => {
+    micCancelledRef.current = false;
+    return cancelMic;
+  }, []);
+
+  return (
+    <div className={`opener cake-opener ${opening ? "cake-blown" : ""}`}>
+      <button
+        type="button"
+        className="opener-btn cake touch-manipulation"
+        onClick={blowOut}
+        aria-label={label}
+        disabled={locked || opening}
+      >
+        <span ref={candlesRef} className="cake-candles" style={{ "--blow": blow }} aria-hidden>
+          {Array.from({ length: CANDLES }).map((_, i) => (
+            <span key={i} className="candle">
+              <span
+                className="flame"
+                style={{ animationDelay: opening ? `${i * 160}ms` : `${i * -230}ms` }}
+                onAnimationEnd={(e) => {
+                  if (e.animationName === "flameOut" && i === CANDLES - 1) onDone();
+                }}
+              />
+            </span>
+          ))}
+        </span>
+        <span className="cake-top" aria-hidden />
+        <span className="cake-body" aria-hidden />
+        <span className="cake-plate" aria-hidden />
+      </button>
+
+      {!opening && mic !== "denied" && (
+        <button
+          type="button"
+          className="control-btn cake-mic-btn mt-3"
+          onClick={startMic}
+          disabled={locked || mic !== "off"}
+          aria-pressed={mic === "listening"}
+        >
+          {t(mic === "listening" ? "opener.cake.listening" : "opener.cake.mic")}
+        </button>
+      )}
+      {mic === "denied" && (
+        <p className="cake-mic-note mt-3 text-sm" role="status">
+          {t("opener.cake.micDenied")}
+        </p>
+      )}
+    </div>
+  );
+}
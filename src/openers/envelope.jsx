@@ -0,0 +1,35 @@
+// envelope.jsx
+// An envelope: tap it, the flap unfolds and the card slides out. The card's
+// `letterRise` animation completes the opener (see openers/index.js).
+
+import React, { useRef } from "react";
+
+export default function EnvelopeOpener({ opening, locked, label, onStart, onDone }) {
+  const letterRef = useRef(null);
+
+  return (
+    <div className={`opener envelope-opener ${opening ? "envelope-open" : ""}`}>
+      <button
+        type="button"
+        className="opener-btn envelope touch-manipulation"
+        onClick={() => onStart(letterRef.current)}
+        aria-label={label}
+        disabled={locked || opening}
+      >
+        <span className="envelope-back" aria-hidden />
+        <span
+          ref={letterRef}
+          className="envelope-letter"
+          onAnimationEnd={(e) => {
+            if (e.animationName === "letterRise") onDone();
+          }}
+          aria-hidden
+        >
+          🎂
+        </span>
+        <span className="envelope-front" aria-hidden />
+        <span className="envelope-flap" aria-hidden />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+// gift-box.jsx
+// The original opener: a ribbon gift box whose lid flips open (lidFlipOpen, driven by
+// the `.opening` class Home puts on <body>). See openers/index.js for the contract.
+// The box is drawn with plain elements; a single overlay button is its only control.
+
+import React, { useRef } from "react";
+
+export default function GiftBoxOpener({ opening, locked, label, onStart, onDone }) {
+  const lidRef = useRef(null);
+  const open = () => onStart(lidRef.current);
+
+  return (
+    /* Gift container: responsive by CSS variable --gift-size */
+    <div
+      className="gift-wrap relative flex items-center justify-center"
+      style={{ width: "100%", maxWidth: "420px", margin: "0 auto" }}
+    >
+      {/* Soft shadow under the gift */}
+      <div
+        className={`gift-shadow absolute bottom-0 w-3/4 h-3 rounded-full transition-opacity`}
+        aria-hidden
+      />
+
+      {/* Box body: decoration only, the overlay button below is the one control */}
+      <div className={`box-body relative z-10 rounded-2xl shadow-xl`} aria-hidden>
+        {/* Vertical ribbon */}
+        <div className="ribbon-vertical absolute left-1/2 -translate-x-1/2" />
+
+        {/* Horizontal ribbon */}
+        <div className="ribbon-horizontal absolute top-1/2 -translate-y-1/2" />
+
+        {/* Bow */}
+        <div className="bow absolute -top-6 z-20 pointer-events-none">
+          <div className="bow-loop left-loop" />
+          <div className="bow-loop right-loop" />
+          <div className="bow-knot" />
+        </div>
+
+
+        {/* Idle bounce overlay (only while not opening) */}
+        <div className={`idle-bounce absolute inset-0 pointer-events-none ${opening || locked ? "" : "gift-idle"}`} />
+      </div>
+
+      {/* Lid: separate element so we can animate flip; its animation end completes the opener */}
+      <div
+        ref={lidRef}
+        className={`box-lid absolute z-30 top-0 left-1/2 -translate-x-1/2 rounded-xl`}
+        onAnimationEnd={(e) => {
+          if (e.animationName === "lidFlipOpen") onDone();
+        }}
+        aria-hidden
+      />
+
+      {/* The control: a large invisible button over the whole gift, easy to tap on mobile */}
+      <button
+        type="button"
+        className="gift-overlay-btn absolute inset-0 z-40 bg-transparent touch-manipulation min-h-[44px] min-w-[44px]"
+        onClick={open}
+        aria-label={label}
+        title={label}
+        disabled={locked || opening}
+      />
+    </div>
+  );
+}
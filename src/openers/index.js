@@ -0,0 +1,30 @@
+// index.js
+// Home "openers": the thing the recipient opens before the celebration.
+//
+// Every opener is a component with the same contract, so Home can drive any of them:
+//  - props: { opening, locked, label, onStart, onDone }
+//  - onStart(origin): the recipient triggered it; `origin` is the element confetti
+//    bursts from. Home ignores it while locked (countdown) or already opening.
+//  - opening: true once Home accepted onStart - play the opening animation.
+//  - onDone(): the opening animation finished. Home navigates to the celebration,
+//    or after a fallback timeout if onDone never comes.
+//  - label: accessible name for the opener's control
+
+import GiftBoxOpener from "./gift-box.jsx";
+import CakeOpener from "./cake.jsx";
+import EnvelopeOpener from "./envelope.jsx";
+import BalloonOpener from "./balloon.jsx";
+import ScratchCardOpener from "./scratch-card.jsx";
+import { DEFAULT_OPENER } from "./names.js";
+
+export const OPENERS = {
+  gift: GiftBoxOpener,
+  cake: CakeOpener,
+  envelope: EnvelopeOpener,
+  balloon: BalloonOpener,
+  scratch: ScratchCardOpener,
+};
+
+export function openerFor(name) {
+  return OPENERS[name] || OPENERS[DEFAULT_OPENER];
+}
@@ -0,0 +1,6 @@
+// names.js
+// The Home opener variants a recipient config can pick (see openers/index.js).
+// Kept free of React so the config schema can list them.
+
+export const DEFAULT_OPENER = "gift";
+export const OPENER_NAMES = ["gift", "cake", "envelope", "balloon", "scratch"];
@@ -0,0 +1,111 @@
+// scratch-card.jsx
+// A scratch card: scratch the foil with a finger or mouse; once enough of it is
+// gone the rest fades away and the `foilFade` animation completes the opener
+// (see openers/index.js). The "Reveal" button does the same for keyboard users.
+
+import React, { useEffect, useRef } from "react";
+import { useI18n } from "../i18n/context.js";
+
+const BRUSH_RADIUS = 18;
+// Share of the foil that has to be scratched off before the card reveals itself
+const REVEAL_THRESHOLD = 0.5;
+// Sample every Nth pixel when measuring how much foil is left
+const SAMPLE_STEP = 8;
+
+function paintFoil(canvas) {
+  const rect = canvas.getBoundingClientRect();
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(rect.width * ratio);
+  canvas.height = Math.round(rect.height * ratio);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  const foil = ctx.createLinearGradient(0, 0, rect.width, rect.height);
+  foil.addColorStop(0, "#c9ccd3");
+  foil.addColorStop(0.5, "#f1f2f5");
+  foil.addColorStop(1, "#a9adb6");
+  ctx.fillStyle = foil;
+  ctx.fillRect(0, 0, rect.width, rect.height);
+  ctx.fillStyle = "rgba(60,64,72,0.55)";
+  ctx.font = "600 15px Inter, system-ui, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("✦ ✦ ✦", rect.width / 2, rect.height / 2);
+}
+
+function scratchedShare(canvas) {
+  const { data } = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+  let cleared = 0;
+  let total = 0;
+  for (let i = 3; i < data.length; i += 4 * SAMPLE_STEP) {
+    total += 1;
+    if (data[i] === 0) cleared += 1;
+  }
+  return total ? cleared / total : 0;
+}
+
+export default function ScratchCardOpener({ opening, locked, label, onStart, onDone }) {
+  const { t } = useI18n();
+  const canvasRef = useRef(null);
+  const cardRef = useRef(null);
+  const scratching = useRef(false);
+  const strokes = useRef(0);
+
+  useEffect(() => {
+    if (canvasRef.current) paintFoil(canvasRef.current);
+  }, []);
+
+  function reveal() {
+    onStart(cardRef.current);
+  }
+
+  function scratch(e) {
+    const canvas = canvasRef.current;
+    if (!scratching.current || !canvas || locked || opening) return;
+    const rect = canvas.getBoundingClientRect();
+    const ctx = canvas.getContext("2d");
+    ctx.globalCompositeOperation = "destination-out";
+    ctx.beginPath();
+    ctx.arc(e.clientX - rect.left, e.clientY - rect.top, BRUSH_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalCompositeOperation = "source-over";
+    // Measuring reads back the whole canvas, so only do it every few strokes
+    strokes.current += 1;
+    if (strokes.current % 6 === 0 && scratchedShare(canvas) >= REVEAL_THRESHOLD) reveal();
+  }
+
+  return (
+    <div className={`opener scratch-opener ${opening ? "scratch-revealed" : ""}`}>
+      <div ref={cardRef} className="scratch-card" aria-hidden>
+        <span className="scratch-prize">🎉</span>
+        <canvas
+          ref={canvasRef}
+          className="scratch-foil"
+          onPointerDown={(e) => {
+            scratching.current = true;
+            e.currentTarget.setPointerCapture(e.pointerId);
+            scratch(e);
+          }}
+          onPointerMove={scratch}
+          onPointerUp={() => {
+            scratching.current = false;
+          }}
+          onPointerCancel={() => {
+            scratching.current = false;
+          }}
+          onAnimationEnd={(e) => {
+            if (e.animationName === "foilFade") onDone();
+          }}
+        />
+      </div>
+      <button
+        type="button"
+        className="control-btn scratch-reveal-btn mt-3"
+        onClick={reveal}
+        aria-label={label}
+        disabled={locked || opening}
+      >
+        {t("opener.scratch.reveal")}
+      </button>
+    </div>
+  );
+}
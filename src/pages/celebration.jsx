@@ -5,145 +5,309 @@
  *  - tries muted autoplay first (most browsers allow muted autoplay)
  *  - if muted autoplay succeeds, unmutes for audible playback
  *  - if autoplay is blocked, shows a small "Tap to play" prompt that will start playback
+ *  - a song already started by the gift tap on Home is taken over from the shared audio session
+ *    (audio/session.js) instead of loading it again; autoplay is only tried without one
+ *  - AudioPlayer (components/audio-player.jsx) renders the visible play/mute/volume/seek controls
+ *  - ExportMenu (components/export-menu.jsx) saves the reveal as a WebM video or a GIF (src/export)
+ *  - "Skip intro" jumps to the end of the reveal, "Replay" plays it again (timeline, typing and
+ *    confetti start over) and "Back to gift" returns to the gift page (keys S, R and G)
+ *  - once revealed, beats in the song (audio/beat-detector.js) pulse the stars, sweep the heading
+ *    shimmer and fire confetti; skipped entirely when effects are reduced (the system's
+ *    prefers-reduced-motion or the "reduce effects" toggle, see lib/motion.js), as is the photo tilt
+ *  - screen readers hear the message once it's typed (components/wish-carousel.jsx), and focus
+ *    moves to the heading when arriving from another page (lib/use-route-focus.js)
  *
- * Props:
- *  - friendImageFilename
- *  - birthdaySongFilename
+ * Strings come from the i18n layer (src/i18n); the root carries `dir`/`lang` so Arabic/Hebrew
+ * render right-to-left, `data-theme` picks the color theme (src/themes), and the typing effect
+ * (see components/wish-carousel.jsx) steps by grapheme.
+ *
+ * Props (usually mapped from a recipient config, see src/config/props.js):
+ *  - friendImageFilename (null for none - a gallery-only config)
+ *  - gallery (optional [{ photo | video + poster?, caption? }]; with more than one entry the frame
+ *    becomes a slideshow. Videos duck the song while they play.)
+ *  - birthdaySongFilename, songStart (seconds of intro to skip); the sample song when neither it nor a playlist is set
+ *  - playlist (optional [{ song, start? }] after birthdaySongFilename), shuffle, crossfade (seconds)
  *  - personalMessage
+ *  - wishes (optional [{ author, message, avatar? }] typed out after personalMessage)
  *  - friendName
+ *  - senderName, age
+ *  - heading, attribution (optional templates, see src/lib/text.js)
+ *  - giftPath: where "Back to gift" goes (e.g. "/b/<slug>"); with `giftPath={null}` it only
+ *    calls `onBackToGift` (the builder's preview does this)
  *
  * Keep celebration.styles.css as-is (imported below).
  */
 
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { assetUrl } from "../config/assets.js";
+import { fadeVolume, playWithFallback } from "../lib/media.js";
+import { fillTemplate, greetingVars, templateParts } from "../lib/text.js";
+import WishCarousel from "../components/wish-carousel.jsx";
+import PhotoSlideshow from "../components/photo-slideshow.jsx";
+import AudioPlayer from "../components/audio-player.jsx";
+import ExportMenu from "../components/export-menu.jsx";
+import { SongPlayer } from "../audio/song-player.js";
+import { SONG_VOLUME, songTracks } from "../audio/tracks.js";
+import { useAudioSession } from "../audio/context.js";
+import { watchBeats } from "../audio/beat-detector.js";
+import { restartAnimation, usePrefersReducedMotion } from "../lib/motion.js";
+import { useConfetti } from "../confetti/use-confetti.js";
+import { useI18n } from "../i18n/context.js";
+import { useTheme } from "../themes/context.js";
+import { revealStepsFor } from "../lib/reveal.js";
+import { useTimeline } from "../lib/use-timeline.js";
+import { useRouteFocus } from "../lib/use-route-focus.js";
+import ReduceEffectsToggle from "../components/reduce-effects-toggle.jsx";
+import { createScene, loadPhoto } from "../export/scene.js";
+
+// Default message keys, picked by which details the recipient config provides.
+function headingKey(vars) {
+  return `celebration.heading${vars.ageOrdinal ? "Age" : ""}${vars.name ? "Named" : ""}`;
+}
+function attributionKey(vars) {
+  return `celebration.attribution${vars.sender ? "Sender" : ""}${vars.name ? "Named" : ""}`;
+}
+
+// How far the song is ducked while a video greeting plays
+const DUCK_RATIO = 0.2;
+
+const NO_WISHES = [];
+const NO_PHOTOS = [];
+const NO_SONGS = [];
+// On the beat, fire at most one confetti burst per this interval
+const BEAT_CONFETTI_MIN_MS = 2400;
 
 export default function SecondPage({
   friendImageFilename = "friend.JPG",
-  birthdaySongFilename = "happy-birthday-155461.mp3",
+  birthdaySongFilename,
   personalMessage = "Wishing you a day filled with love, laughter, and all the little joys that make life beautiful.",
-  friendName = "Tushar Mahapure",
+  friendName = "",
+  senderName = "",
+  age = null,
+  heading,
+  attribution,
+  wishes = NO_WISHES,
+  gallery = NO_PHOTOS,
+  songStart = 0,
+  playlist = NO_SONGS,
+  shuffle = false,
+  crossfade = 3,
+  giftPath = "/",
+  onBackToGift = () => {},
 }) {
-  // Typing state
-  const [typedText, setTypedText] = useState("");
-  const typingIndex = useRef(0);
-  const typingTimer = useRef(null);
+  const { t, template, dir, locale, ordinal } = useI18n();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const vars = greetingVars({ name: friendName, sender: senderName, age }, ordinal);
+  // `heading` / `attribution` templates from the recipient config override the translated defaults
+  const headingText = fillTemplate(heading ?? template(headingKey(vars)), vars);
+  const attributionParts = templateParts(attribution ?? template(attributionKey(vars)), vars);
+  const attributionText = attributionParts.map((part) => part.text).join("");
+
+  // friendImageFilename leads the slideshow, followed by any gallery photos
+  const slides = useMemo(
+    () => [
+      ...(friendImageFilename ? [{ src: friendImageFilename }] : []),
+      ...gallery.map((item) => ({ src: item.photo, video: item.video, poster: item.poster, caption: item.caption })),
+    ],
+    [friendImageFilename, gallery]
+  );
+
+  // The personal message leads the guestbook, credited to the sender
+  const allWishes = useMemo(
+    () => [{ message: personalMessage, author: senderName }, ...wishes],
+    [personalMessage, senderName, wishes]
+  );
 
   // Audio
   const audioRef = useRef(null);
   const [isMuted, setIsMuted] = useState(false);
   const [showPlayPrompt, setShowPlayPrompt] = useState(false); // fallback prompt visible if autoplay blocked
+  const [volume, setVolume] = useState(SONG_VOLUME);
+  // Latest volume / duck state for callbacks that outlive a render (autoplay, video ducking)
+  const volumeRef = useRef(volume);
+  const duckedRef = useRef(false);
   const [audioPlaying, setAudioPlaying] = useState(false); // whether audio is currently playing (audible)
   const [stylesLoaded, setStylesLoaded] = useState(false);
 
-  // Celebration / confetti refs
-  const confettiContainerRef = useRef(null);
-  const [sequenceState, setSequenceState] = useState("init");
+  // Canvas confetti and beat-reactive visuals (stars, heading shimmer); off for reduced motion
+  const reducedMotion = usePrefersReducedMotion();
+  const theme = useTheme();
+  const confetti = useConfetti({ disabled: reducedMotion, colors: theme.confetti });
+
+  // Confetti: a burst from `from` (an element or a pointer event), or a shower from the top
+  const triggerConfetti = useCallback(
+    (from) => {
+      if (from) confetti.burst({ from, count: 70 });
+      else confetti.rain({ count: 110 });
+    },
+    [confetti]
+  );
+  const starRefs = useRef([]);
+  const headingRef = useRef(null);
+  const focusRef = useRouteFocus();
+  const setHeading = useCallback(
+    (el) => {
+      headingRef.current = el;
+      focusRef(el);
+    },
+    [focusRef]
+  );
 
   // Styles are now loaded at main level, so set loaded immediately
   useEffect(() => {
     setStylesLoaded(true);
   }, []);
 
-  // Reveal choreography (image -> heading -> typing -> confetti)
+  // Reveal choreography (init -> image -> heading -> typing -> done) on a timeline, timed
+  // per theme (lib/reveal.js); steps marked `confetti` drop the shower
+  const revealSteps = useMemo(() => revealStepsFor(theme), [theme]);
+  const { step, timeline } = useTimeline(revealSteps, {
+    onStep: (entered) => {
+      if (entered.confetti) triggerConfetti();
+    },
+  });
+  const sequenceState = step ?? "init";
+
+  // Replay / skip. `run` remounts the heading and the typed message so a replay pops the
+  // heading and types from the first wish again (unmounting clears the typing interval);
+  // `skipped` shows the message fully typed.
+  const [run, setRun] = useState(0);
+  const [skipped, setSkipped] = useState(false);
+  const replay = useCallback(() => {
+    if (!timeline) return;
+    confetti.clear();
+    setSkipped(false);
+    setRun((r) => r + 1);
+    timeline.replay();
+  }, [timeline, confetti]);
+  const skipIntro = useCallback(() => {
+    if (!timeline || timeline.ended) return;
+    setSkipped(true);
+    timeline.skip();
+  }, [timeline]);
+  const backToGift = useCallback(() => {
+    onBackToGift();
+    if (giftPath !== null) navigate(`${giftPath}${location.search}`);
+  }, [onBackToGift, giftPath, navigate, location.search]);
+
+  // The song / playlist player (audio/song-player.js). It stands in for an <audio>
+  // element: audioRef.current is used imperatively, `song` state lets children
+  // subscribe once it exists. Under an AudioSessionProvider it comes from the shared
+  // session, which hands over the player the gift tap already started.
+  const audioSession = useAudioSession();
+  const tracks = useMemo(
+    () => songTracks({ filename: birthdaySongFilename, start: songStart, playlist }),
+    [birthdaySongFilename, songStart, playlist]
+  );
+  // Always analysed, even with effects reduced: toggling "reduce effects" must not
+  // swap the player (and restart the music); the beat effects just stop listening.
+  const [song, setSong] = useState(null);
   useEffect(() => {
-    const t1 = setTimeout(() => setSequenceState("image"), 100);
-    const t2 = setTimeout(() => setSequenceState("heading"), 520);
-    const t3 = setTimeout(() => {
-      setSequenceState("typing");
-      startTyping();
-    }, 900);
-    const t4 = setTimeout(() => {
-      triggerConfetti();
-      setSequenceState("done");
-    }, 2000);
-
+    const options = { shuffle, crossfade, analyse: true };
+    const player = audioSession ? audioSession.acquire(tracks, options) : new SongPlayer(tracks, options);
+    audioRef.current = player;
+    setSong(player);
     return () => {
-      clearTimeout(t1);
-      clearTimeout(t2);
-      clearTimeout(t3);
-      clearTimeout(t4);
-      stopTyping();
+      if (audioSession) audioSession.release(player);
+      else player.dispose();
+      audioRef.current = null;
     };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [audioSession, tracks, shuffle, crossfade]);
+
+  // Video / GIF export (src/export): the same reveal, redrawn on a canvas in this theme's colors
+  const rootRef = useRef(null);
+  const makeExportScene = useCallback(
+    async ({ width, height }) => {
+      const style = getComputedStyle(rootRef.current);
+      const css = (name) => style.getPropertyValue(name).trim();
+      const first = slides[0];
+      return createScene({
+        width,
+        height,
+        photo: await loadPhoto(first && assetUrl(first.video ? first.poster : first.src)),
+        heading: headingText,
+        message: personalMessage,
+        attribution: attributionText,
+        colors: {
+          pageBg: [css("--page-bg-1"), css("--page-bg-2")],
+          card: [css("--card-bg-1"), css("--card-bg-2")],
+          cardBorder: css("--card-border"),
+          heading: [css("--heading-1"), css("--heading-2"), css("--heading-3")],
+          ink: css("--soft-ink"),
+          muted: css("--muted-gold"),
+        },
+        confettiColors: theme.confetti,
+        locale,
+        dir,
+        steps: revealSteps,
+      });
+    },
+    [slides, headingText, personalMessage, attributionText, theme, locale, dir, revealSteps]
+  );
 
-  // Typing functions
-  function startTyping() {
-    stopTyping();
-    typingIndex.current = 0;
-    setTypedText("");
-    typingTimer.current = setInterval(() => {
-      typingIndex.current += 1;
-      setTypedText(personalMessage.slice(0, typingIndex.current));
-      if (typingIndex.current >= personalMessage.length) {
-        stopTyping();
+  // Move with the music once the reveal has finished
+  const revealDone = sequenceState === "done";
+  useEffect(() => {
+    if (!song || reducedMotion || !revealDone) return;
+    let lastConfetti = performance.now();
+    return watchBeats(song, () => {
+      starRefs.current.forEach((star) => restartAnimation(star, "star-beat", { once: true }));
+      restartAnimation(headingRef.current, "hb-beat", { once: true });
+      const now = performance.now();
+      if (now - lastConfetti >= BEAT_CONFETTI_MIN_MS) {
+        lastConfetti = now;
+        triggerConfetti(headingRef.current);
       }
-    }, 35);
-  }
-  function stopTyping() {
-    if (typingTimer.current) clearInterval(typingTimer.current);
-    typingTimer.current = null;
-  }
+    });
+  }, [song, reducedMotion, revealDone, triggerConfetti]);
 
   // Autoplay effect: attempt muted autoplay first (allowed by browsers), then unmute if possible.
-  // Only depends on birthdaySongFilename so it runs on mount / when the song changes.
+  // Only depends on the player so it runs on mount / when the song changes.
   useEffect(() => {
-    const audio = audioRef.current;
+    const audio = song;
     if (!audio) return;
 
     let cancelled = false;
     // set sensible defaults
-    audio.loop = true;
     audio.preload = "auto";
-    audio.volume = 0.6;
+    audio.volume = volumeRef.current;
+    // Started by the gift tap on Home: already playing audibly, nothing to unlock
+    const primed = audioSession?.playback(audio);
 
-    // Strategy:
+    // Strategy (see playWithFallback in lib/media.js):
     // 1) Try to play while muted (muted autoplay often allowed).
     // 2) If it plays, try to unmute (so user hears music).
     // 3) If any step fails, show the play prompt so user can start playback with a gesture.
     const tryMutedAutoplay = async () => {
-      try {
-        audio.muted = true; // start muted to increase autoplay probability
-        const p = audio.play();
-        if (p !== undefined) await p;
+      if (primed && (await primed) === "playing" && !audio.paused) {
         if (cancelled) return;
-        // muted autoplay succeeded — now unmute to make audible (if user hasn't explicitly muted)
-        // Some browsers may allow unmute after play; this is generally acceptable.
-        if (!isMuted) {
-          try {
-            audio.muted = false;
-            setAudioPlaying(true);
-            setShowPlayPrompt(false);
-            return;
-          } catch (e) {
-            // If unmute fails, fallback to leaving it muted (rare)
-            setAudioPlaying(false);
-            setShowPlayPrompt(true);
-            return;
-          }
-        } else {
-          // user wants muted
-          setAudioPlaying(!audio.paused && !audio.muted);
-          setShowPlayPrompt(false);
-          return;
-        }
-      } catch (err) {
-        // muted autoplay blocked or failed — show play prompt to get a user gesture
+        setAudioPlaying(!audio.muted);
+        setShowPlayPrompt(false);
+        return;
+      }
+      const result = await playWithFallback(audio, { muted: isMuted, isCancelled: () => cancelled });
+      if (result === "cancelled") return;
+      if (result === "blocked" || (result === "muted" && !isMuted)) {
         setShowPlayPrompt(true);
         setAudioPlaying(false);
+        return;
       }
+      setAudioPlaying(result === "playing");
+      setShowPlayPrompt(false);
     };
 
-    // small delay to ensure element is in DOM
+    // small delay to ensure element is in DOM (none needed for a primed song)
     const t = setTimeout(() => {
       tryMutedAutoplay();
-    }, 120);
+    }, primed ? 0 : 120);
 
     return () => {
       cancelled = true;
       clearTimeout(t);
     };
-  }, [birthdaySongFilename]); // run only when song changes
+  }, [song, audioSession]); // run only when song changes
 
   // Sync mute state when user toggles mute (no re-attempt to autoplay)
   useEffect(() => {
@@ -162,56 +326,91 @@ export default function SecondPage({
     }
   }, [isMuted]);
 
-  // Keyboard handlers (M mute, C confetti)
+  // Video greetings in the slideshow go through the same autoplay fallback as the
+  // song; anything that stays blocked is retried on the next tap/click.
+  const pendingMediaRef = useRef(new Set());
+  const videoMedia = useMemo(
+    () => ({
+      play: async (video) => {
+        const result = await playWithFallback(video);
+        if (result === "blocked") {
+          pendingMediaRef.current.add(video);
+          setShowPlayPrompt(true);
+        }
+      },
+      release: (video) => {
+        pendingMediaRef.current.delete(video);
+      },
+      // Duck the song while a video plays, restore it afterwards
+      duck: (ducked) => {
+        duckedRef.current = ducked;
+        const audio = audioRef.current;
+        if (audio) fadeVolume(audio, ducked ? volumeRef.current * DUCK_RATIO : volumeRef.current);
+      },
+    }),
+    []
+  );
+
+  // Apply volume slider changes (respecting an active duck)
+  useEffect(() => {
+    volumeRef.current = volume;
+    const audio = audioRef.current;
+    if (audio) fadeVolume(audio, duckedRef.current ? volume * DUCK_RATIO : volume, 0);
+  }, [volume]);
+
+  // Keyboard handlers (M mute, C confetti, R replay, S skip intro, G back to gift); not while
+  // typing (e.g. in the builder next to a preview) or with a modifier (Ctrl+R still reloads)
   useEffect(() => {
     const onKey = (e) => {
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
       if (e.code === "KeyM") {
         setIsMuted((s) => !s);
       } else if (e.code === "KeyC") {
         triggerConfetti();
+      } else if (e.code === "KeyR") {
+        replay();
+      } else if (e.code === "KeyS") {
+        skipIntro();
+      } else if (e.code === "KeyG") {
+        backToGift();
       }
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, []);
+  }, [triggerConfetti, replay, skipIntro, backToGift]);
 
-  // Enable audio on the first user gesture (tap/click) when autoplay is blocked
+  // Start whatever autoplay could not (the song, pending video greetings) from a user gesture
+  const resumePlayback = useCallback(() => {
+    pendingMediaRef.current.forEach((media) => media.play().catch(() => {}));
+    pendingMediaRef.current.clear();
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.muted = isMuted;
+    audio.play().then(() => {
+      setShowPlayPrompt(false);
+      setAudioPlaying(!audio.muted);
+    }).catch(() => {
+      // if still fails, keep prompt visible
+      setShowPlayPrompt(true);
+    });
+  }, [isMuted]);
+
+  // Enable audio on the first user gesture (tap/click) when autoplay is blocked.
+  // The visible "Tap to play" banner calls resumePlayback directly as well.
   useEffect(() => {
     if (!showPlayPrompt) return;
-    const onUserGesture = () => {
-      const audio = audioRef.current;
-      if (!audio) return;
-      audio.muted = isMuted;
-      audio.play().then(() => {
-        setShowPlayPrompt(false);
-        setAudioPlaying(!audio.muted);
-      }).catch(() => {
-        // if still fails, keep prompt visible
-        setShowPlayPrompt(true);
-      });
-    };
-    document.addEventListener("click", onUserGesture, { once: true });
-    document.addEventListener("touchstart", onUserGesture, { once: true });
+    document.addEventListener("click", resumePlayback, { once: true });
+    document.addEventListener("touchstart", resumePlayback, { once: true });
     return () => {
-      document.removeEventListener("click", onUserGesture);
-      document.removeEventListener("touchstart", onUserGesture);
+      document.removeEventListener("click", resumePlayback);
+      document.removeEventListener("touchstart", resumePlayback);
     };
-  }, [showPlayPrompt, isMuted]);
-
-  // Confetti trigger
-  function triggerConfetti() {
-    const el = confettiContainerRef.current;
-    if (!el) return;
-    el.classList.remove("celebration-burst");
-    // force reflow
-    // eslint-disable-next-line no-unused-expressions
-    el.offsetWidth;
-    el.classList.add("celebration-burst");
-  }
+  }, [showPlayPrompt, resumePlayback]);
 
-  // Image tap handler: replay confetti and also try to play audio as a user gesture
-  function onImageTap() {
-    triggerConfetti();
+  // Image tap handler: confetti from the tap point, and also try to play audio as a user gesture
+  function onImageTap(e) {
+    triggerConfetti(e);
     const audio = audioRef.current;
     if (!audio) return;
     // user gesture: attempt to play and unmute if user hasn't toggled mute
@@ -228,66 +427,51 @@ export default function SecondPage({
     }
   }
 
-  // Derived asset paths
-  const imageSrc = `/assets/${friendImageFilename}`;
-  const audioSrc = `/assets/${birthdaySongFilename}`;
 
   // Show loading state until styles are loaded
   if (!stylesLoaded) {
     return (
-      <div className="celebration-root w-full min-h-screen flex items-center justify-center px-4 py-8 bg-cream relative overflow-hidden">
+      <div dir={dir} lang={locale} data-theme={theme.name} className="celebration-root w-full min-h-screen flex items-center justify-center px-4 py-8 bg-cream relative overflow-hidden">
         <div className="bg-warm-blur absolute inset-0 -z-30" />
         <div className="text-center">
-          <div className="text-soft-ink text-xl font-bold">Loading...</div>
+          <div className="text-soft-ink text-xl font-bold">{t("celebration.loading")}</div>
         </div>
       </div>
     );
   }
 
   return (
-    <div className="celebration-root w-full min-h-screen flex items-center justify-center px-4 py-8 bg-cream relative overflow-hidden">
+    <div ref={rootRef} dir={dir} lang={locale} data-theme={theme.name} className="celebration-root w-full min-h-screen flex items-center justify-center px-4 py-8 bg-cream relative overflow-hidden">
       <div className="bg-warm-blur absolute inset-0 -z-30" />
       <div className={`particle-field absolute inset-0 -z-20 ${sequenceState !== "init" ? "particles-on" : ""}`} />
       <div className="soft-vignette absolute inset-0 -z-10 pointer-events-none" />
 
-      <svg className="decor-star decor-star-1" viewBox="0 0 24 24" aria-hidden>
+      <svg ref={(el) => (starRefs.current[0] = el)} className="decor-star decor-star-1" viewBox="0 0 24 24" aria-hidden>
         <path fill="currentColor" d="M12 2l2.4 5.1L20 8.2l-4 3.5L17 20l-5-2.8L7 20l1-8.3L4 8.2l5.6-.9L12 2z" />
       </svg>
 
-      <svg className="decor-star decor-star-2" viewBox="0 0 24 24" aria-hidden>
+      <svg ref={(el) => (starRefs.current[1] = el)} className="decor-star decor-star-2" viewBox="0 0 24 24" aria-hidden>
         <path fill="currentColor" d="M12 3.2l1.9 3.9 4.3.6-3.1 2.7.7 4.2L12 13.9 8.2 14.6l.7-4.2L5.8 7.7l4.3-.6L12 3.2z" />
       </svg>
 
-      <div ref={confettiContainerRef} className="confetti-layer absolute inset-0 -z-15 pointer-events-none" aria-hidden>
-        {Array.from({ length: 26 }).map((_, i) => {
-          const left = `${Math.round((i / 26) * 100)}%`;
-          const delay = `${(i * 40) % 900}ms`;
-          const size = `${6 + (i % 3) * 3}px`;
-          const colors = ["#fde68a", "#fca5a5", "#93c5fd", "#f0abfc", "#6ee7b7", "#ffd6a5"];
-          const bg = colors[i % colors.length];
-          return (
-            <span
-              key={i}
-              className="confetti-piece"
-              style={{
-                left,
-                width: size,
-                height: `${parseInt(size, 10) * 1.6}px`,
-                background: bg,
-                animationDelay: delay,
-              }}
-            />
-          );
-        })}
-      </div>
-
-      <main className="reveal-card w-full max-w-3xl mx-auto rounded-2xl shadow-2xl p-5 sm:p-10 flex flex-col items-center text-center relative z-10" role="main" aria-live="polite">
-        <div className="mb-2 sm:mb-3 text-xs sm:text-sm text-muted-gold">Made with love from Fotoowl team for <span className="font-semibold">{friendName}</span></div>
+      <canvas ref={confetti.ref} className="confetti-layer absolute inset-0 w-full h-full z-20 pointer-events-none" aria-hidden />
+
+      <main className="reveal-card w-full max-w-3xl mx-auto rounded-2xl shadow-2xl p-5 sm:p-10 flex flex-col items-center text-center relative z-10" role="main">
+        <div className="mb-2 sm:mb-3 text-xs sm:text-sm text-muted-gold">
+          {attributionParts.map((part, i) =>
+            part.key === "name" ? (
+              <span key={i} className="font-semibold">{part.text}</span>
+            ) : (
+              part.text
+            )
+          )}
+        </div>
 
         <div
           className="image-frame w-full max-w-[360px] sm:max-w-[640px] rounded-2xl overflow-hidden mb-5 sm:mb-7 transform-gpu"
           onClick={onImageTap}
           onMouseMove={(e) => {
+            if (reducedMotion) return;
             const el = e.currentTarget;
             const rect = el.getBoundingClientRect();
             const dx = (e.clientX - (rect.left + rect.width / 2)) / rect.width;
@@ -298,37 +482,67 @@ export default function SecondPage({
             e.currentTarget.style.transform = "none";
           }}
         >
-          <img 
-            src={imageSrc} 
-            alt={`Photo of ${friendName}`} 
-            className={`friend-image w-full h-auto object-cover block reveal-image ${sequenceState !== "init" ? "image-in" : ""}`} 
-            onError={(ev) => { 
-              ev.currentTarget.style.opacity = "0"; 
-            }} 
-            draggable={false} 
+          <PhotoSlideshow
+            slides={slides}
+            revealed={sequenceState !== "init"}
+            audioRef={audioRef}
+            media={videoMedia}
+            alt={friendName ? t("celebration.photoAltNamed", vars) : t("celebration.photoAlt")}
           />
           <div className={`image-frame-glow ${sequenceState !== "init" ? "glow-on" : ""}`} />
           <div className="image-vignette" />
         </div>
 
-        <h1 className={`hb-heading text-3xl sm:text-4xl md:text-5xl font-extrabold tracking-tight mb-3 sm:mb-4 ${sequenceState !== "init" ? "hb-on" : ""}`}>
+        <h1 key={run} ref={setHeading} tabIndex={-1} className={`hb-heading text-3xl sm:text-4xl md:text-5xl font-extrabold tracking-tight mb-3 sm:mb-4 ${sequenceState !== "init" ? "hb-on" : ""}`}>
           <span className="hb-text-gradient inline-block relative">
-            Happy Birthday Tushar Mahapure!
+            {headingText}
             <span className="hb-gradient-shimmer" aria-hidden />
           </span>
-          <span className="hb-sparkles ml-2" aria-hidden>✨</span>
+          <span className="hb-sparkles ms-2" aria-hidden>✨</span>
         </h1>
 
-        <section className="personal-message px-3 sm:px-6 text-sm sm:text-base leading-relaxed text-soft-ink max-w-prose">
-          <p className="message-text inline-block">{typedText}</p>
-          <span className={`typing-caret ml-1 ${typedText.length >= personalMessage.length ? "caret-hidden" : ""}`} aria-hidden />
-        </section>
+        <WishCarousel
+          key={run}
+          wishes={allWishes}
+          started={sequenceState === "typing" || sequenceState === "done"}
+          instant={skipped}
+        />
+
+        <div className="sequence-controls controls mt-3 text-xs sm:text-sm">
+          {revealDone ? (
+            <button type="button" className="control-btn" onClick={replay} aria-keyshortcuts="R">
+              {t("celebration.replay")}
+            </button>
+          ) : (
+            <button type="button" className="control-btn" onClick={skipIntro} aria-keyshortcuts="S">
+              {t("celebration.skipIntro")}
+            </button>
+          )}
+          <button type="button" className="control-btn" onClick={backToGift} aria-keyshortcuts="G">
+            {t("celebration.backToGift")}
+          </button>
+          <ReduceEffectsToggle className="control-btn" />
+        </div>
+
+
+        <AudioPlayer
+          audio={song}
+          isMuted={isMuted}
+          onToggleMute={() => setIsMuted((m) => !m)}
+          volume={volume}
+          onVolumeChange={setVolume}
+          showPlayPrompt={showPlayPrompt}
+          onPromptPlay={resumePlayback}
+        />
 
+        <ExportMenu
+          makeScene={makeExportScene}
+          song={tracks[0] || null}
+          filename={friendName ? `birthday-${friendName.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-")}` : "birthday"}
+        />
 
-        <div className="sr-only">A birthday song will play automatically. Press M to mute.</div>
+        <div className="sr-only">{t("celebration.audioNotice")}</div>
 
-        {/* Hidden audio element */}
-        <audio ref={audioRef} src={audioSrc} autoPlay loop preload="auto" style={{ display: "none" }} />
 
       </main>
     </div>
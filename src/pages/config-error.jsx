@@ -0,0 +1,33 @@
+// config-error.jsx
+// Shown instead of Home / Celebration when a recipient config fails validation,
+// so a bad config is obvious at a glance rather than a half-empty page.
+
+import React from "react";
+import { useRouteFocus } from "../lib/use-route-focus.js";
+
+export default function ConfigError({ error }) {
+  const focusRef = useRouteFocus();
+  const issues = error.issues || [{ path: "", message: error.message }];
+
+  return (
+    <div className="celebration-root w-full min-h-screen flex items-center justify-center px-4 py-8 bg-cream">
+      <main className="reveal-card w-full max-w-xl mx-auto rounded-2xl shadow-2xl p-5 sm:p-8 text-left" role="alert">
+        <h1 ref={focusRef} tabIndex={-1} className="text-xl sm:text-2xl font-bold text-soft-ink mb-2">This surprise isn&apos;t set up correctly</h1>
+        {error.source && (
+          <p className="text-sm text-muted-gold mb-4">
+            Problems in <code>{error.source}</code>:
+          </p>
+        )}
+        <ul className="list-disc pl-5 space-y-1 text-sm text-soft-ink">
+          {issues.map((issue, i) => (
+            <li key={i}>
+              {issue.path && <code className="font-semibold">{issue.path}</code>}
+              {issue.path && " "}
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,366 @@
+// create.jsx
+// The builder at /create: organizers fill in a form, watch the real Home and Celebration
+// pages update next to it, and get a share link (/s/<store>/<id>, see src/share/stores.js)
+// without touching a config file. Organizer-facing, so English-only like ConfigError.
+// The draft is kept in localStorage so a reload doesn't lose it. Photos and songs can be
+// dropped in: they're processed in the browser (src/uploads) and stored by uploadStorage.
+
+import React, { useEffect, useMemo, useState } from "react";
+import Home from "./home.jsx";
+import Celebration from "./celebration.jsx";
+import I18nProvider from "../i18n/provider.jsx";
+import { LOCALES, SUPPORTED_LOCALES } from "../i18n/locales/index.js";
+import ThemeProvider from "../themes/provider.jsx";
+import { DEFAULT_THEME, THEMES, THEME_NAMES } from "../themes/index.js";
+import { DEFAULT_OPENER, OPENER_NAMES } from "../openers/names.js";
+import { RecipientConfigError, validateRecipientConfig } from "../config/schema.js";
+import { celebrationPropsFor, homePropsFor } from "../config/props.js";
+import { SHARE_STORES, sharePath } from "../share/stores.js";
+import UploadDrop from "../components/upload-drop.jsx";
+import { processImage } from "../uploads/image.js";
+import { MAX_CLIP_SECONDS, decodeAudio, trimAudio } from "../uploads/audio.js";
+import { hasLocalUploads, resolveUploads, uploadStorage } from "../uploads/storage.js";
+import { useRouteFocus } from "../lib/use-route-focus.js";
+
+const DRAFT_KEY = "birthday:builder-draft";
+// Rebuild the preview this long after the last keystroke, not on every one
+const PREVIEW_DELAY_MS = 400;
+
+const EMPTY_DRAFT = {
+  name: "",
+  sender: "",
+  message: "",
+  photo: "friend.JPG",
+  song: "happy-birthday-155461.mp3",
+  theme: DEFAULT_THEME,
+  opener: DEFAULT_OPENER,
+  locale: "en",
+};
+
+const OPENER_LABELS = {
+  gift: "Gift box",
+  cake: "Birthday cake",
+  envelope: "Envelope",
+  balloon: "Balloon",
+  scratch: "Scratch card",
+};
+
+function formatSeconds(seconds) {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function loadDraft() {
+  try {
+    return { ...EMPTY_DRAFT, ...JSON.parse(localStorage.getItem(DRAFT_KEY) || "{}") };
+  } catch {
+    return EMPTY_DRAFT;
+  }
+}
+
+// The form keeps every field as a string; the config leaves out the empty ones
+function configFor(draft) {
+  const config = {};
+  for (const [key, value] of Object.entries(draft)) {
+    if (typeof value === "string" ? value.trim() !== "" : value != null) config[key] = value;
+  }
+  return config;
+}
+
+function validate(config) {
+  try {
+    return { recipient: validateRecipientConfig(config, "builder"), issues: [] };
+  } catch (error) {
+    if (error instanceof RecipientConfigError) return { recipient: null, issues: error.issues };
+    throw error;
+  }
+}
+
+export default function Create() {
+  const focusRef = useRouteFocus();
+  const [draft, setDraft] = useState(loadDraft);
+  const [previewConfig, setPreviewConfig] = useState(() => configFor(draft));
+  const [tab, setTab] = useState("home");
+  const [storeName, setStoreName] = useState(SHARE_STORES[0].name);
+  const [share, setShare] = useState({ status: "idle" });
+  const [preview, setPreview] = useState(null);
+  // Uploads: which one is being processed, the song waiting to be trimmed, the last error
+  const [busy, setBusy] = useState(null);
+  const [clip, setClip] = useState(null);
+  const [uploadError, setUploadError] = useState("");
+
+  const config = useMemo(() => configFor(draft), [draft]);
+  const { issues } = useMemo(() => validate(config), [config]);
+  // Remount the preview for each new config so its choreography starts over
+  const previewKey = useMemo(() => JSON.stringify(previewConfig), [previewConfig]);
+
+  useEffect(() => {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+    const timer = setTimeout(() => setPreviewConfig(config), PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draft, config]);
+
+  // Uploaded files live in IndexedDB; the pages need blob: URLs for them
+  useEffect(() => {
+    let cancelled = false;
+    const { recipient } = validate(previewConfig);
+    Promise.resolve(recipient && resolveUploads(recipient))
+      .catch(() => null)
+      .then((resolved) => {
+        if (!cancelled) setPreview(resolved);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [previewConfig]);
+
+  const set = (key, value) => {
+    setDraft((d) => ({ ...d, [key]: value }));
+    setShare({ status: "idle" });
+  };
+  const update = (key) => (e) => set(key, e.target.value);
+
+  async function upload(kind, work) {
+    setBusy(kind);
+    setUploadError("");
+    try {
+      await work();
+    } catch (error) {
+      setUploadError(error.message);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  const uploadPhoto = (file) =>
+    upload("photo", async () => set("photo", await uploadStorage.put(await processImage(file), { name: file.name })));
+
+  const uploadSong = (file) =>
+    upload("song", async () => {
+      const audio = await decodeAudio(file);
+      setClip({ audio, name: file.name, start: 0, length: Math.min(MAX_CLIP_SECONDS, Math.floor(audio.duration)) || 1 });
+    });
+
+  const saveClip = () =>
+    upload("song", async () => {
+      const wav = await trimAudio(clip.audio, { start: clip.start, duration: clip.length });
+      set("song", await uploadStorage.put(wav, { name: clip.name.replace(/\.[^.]+$/, "") + ".wav" }));
+      setClip(null);
+    });
+
+  async function createLink() {
+    const store = SHARE_STORES.find((s) => s.name === storeName);
+    setShare({ status: "saving" });
+    try {
+      const id = await store.save(config);
+      setShare({ status: "done", url: `${window.location.origin}${sharePath(store, id)}` });
+    } catch (error) {
+      setShare({ status: "error", message: error.message });
+    }
+  }
+
+  function copyLink() {
+    navigator.clipboard?.writeText(share.url).then(() => setShare((s) => ({ ...s, copied: true })), () => {});
+  }
+
+  return (
+    <div className="create-root min-h-screen w-full bg-cream text-soft-ink">
+      <div className="create-layout mx-auto max-w-7xl px-4 py-6 grid gap-6 lg:grid-cols-[minmax(0,380px)_1fr]">
+        <main className="create-form reveal-card rounded-2xl shadow-xl p-5 text-left">
+          <h1 ref={focusRef} tabIndex={-1} className="text-2xl font-bold mb-1">Create a birthday surprise</h1>
+          <p className="text-sm text-muted-gold mb-4">Fill this in, check the preview, then share the link.</p>
+
+          <label className="create-field">
+            <span>Their name *</span>
+            <input value={draft.name} onChange={update("name")} maxLength={80} />
+          </label>
+          <label className="create-field">
+            <span>From</span>
+            <input value={draft.sender} onChange={update("sender")} maxLength={80} placeholder="e.g. The design team" />
+          </label>
+          <label className="create-field">
+            <span>Message *</span>
+            <textarea value={draft.message} onChange={update("message")} maxLength={2000} rows={4} />
+          </label>
+          <div className="create-field">
+            <label htmlFor="create-photo">Photo</label>
+            <input id="create-photo" value={draft.photo} onChange={update("photo")} placeholder="file in public/assets or https://..." />
+            <UploadDrop accept="image/*" label="Drop a photo here, or click to choose one" busy={busy === "photo"} onFile={uploadPhoto} />
+          </div>
+          <div className="create-field">
+            <label htmlFor="create-song">Song</label>
+            <input id="create-song" value={draft.song} onChange={update("song")} placeholder="file in public/assets or https://..." />
+            {clip ? (
+              <fieldset className="create-clip">
+                <legend>
+                  Keep part of <em>{clip.name}</em> ({formatSeconds(clip.audio.duration)})
+                </legend>
+                <label>
+                  <span>Start at {formatSeconds(clip.start)}</span>
+                  <input
+                    type="range"
+                    min={0}
+                    max={Math.max(0, Math.floor(clip.audio.duration - 1))}
+                    value={clip.start}
+                    onChange={(e) => setClip((c) => ({ ...c, start: Number(e.target.value) }))}
+                  />
+                </label>
+                <label>
+                  <span>Length {formatSeconds(clip.length)}</span>
+                  <input
+                    type="range"
+                    min={1}
+                    max={Math.max(1, Math.min(MAX_CLIP_SECONDS, Math.floor(clip.audio.duration)))}
+                    value={clip.length}
+                    onChange={(e) => setClip((c) => ({ ...c, length: Number(e.target.value) }))}
+                  />
+                </label>
+                <div className="flex gap-2">
+                  <button type="button" className="control-btn" onClick={saveClip} disabled={busy === "song"}>
+                    {busy === "song" ? "Saving…" : "Use this part"}
+                  </button>
+                  <button type="button" className="control-btn" onClick={() => setClip(null)}>
+                    Cancel
+                  </button>
+                </div>
+              </fieldset>
+            ) : (
+              <UploadDrop accept="audio/*" label="Drop a song here, or click to choose one" busy={busy === "song"} onFile={uploadSong} />
+            )}
+          </div>
+          {uploadError && (
+            <p className="create-issues text-sm mb-3" role="alert">
+              {uploadError}
+            </p>
+          )}
+          <div className="grid grid-cols-3 gap-3">
+            <label className="create-field">
+              <span>Theme</span>
+              <select value={draft.theme} onChange={update("theme")}>
+                {THEME_NAMES.map((name) => (
+                  <option key={name} value={name}>
+                    {THEMES[name].label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="create-field">
+              <span>Opener</span>
+              <select value={draft.opener} onChange={update("opener")}>
+                {OPENER_NAMES.map((name) => (
+                  <option key={name} value={name}>
+                    {OPENER_LABELS[name] || name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="create-field">
+              <span>Language</span>
+              <select value={draft.locale} onChange={update("locale")}>
+                {SUPPORTED_LOCALES.map((code) => (
+                  <option key={code} value={code}>
+                    {LOCALES[code].name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {issues.length > 0 && (
+            <ul className="create-issues list-disc pl-5 my-3 text-sm" aria-live="polite">
+              {issues.map((issue, i) => (
+                <li key={i}>
+                  {issue.path && <code className="font-semibold">{issue.path}</code>} {issue.message}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="create-share mt-4 flex flex-wrap items-end gap-3">
+            <label className="create-field flex-1">
+              <span>Save it</span>
+              <select value={storeName} onChange={(e) => setStoreName(e.target.value)}>
+                {SHARE_STORES.map((store) => (
+                  <option key={store.name} value={store.name}>
+                    {store.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="button"
+              className="control-btn create-share-btn"
+              onClick={createLink}
+              disabled={issues.length > 0 || share.status === "saving"}
+            >
+              {share.status === "saving" ? "Saving…" : "Create share link"}
+            </button>
+          </div>
+          <div className="create-share-result mt-3 text-sm" aria-live="polite">
+            {share.status === "done" && (
+              <div className="flex gap-2 items-center">
+                <input className="create-link flex-1" value={share.url} readOnly onFocus={(e) => e.target.select()} />
+                <button type="button" className="control-btn" onClick={copyLink}>
+                  {share.copied ? "Copied" : "Copy"}
+                </button>
+              </div>
+            )}
+            {share.status === "error" && <p role="alert">Couldn&apos;t save: {share.message}</p>}
+            {storeName !== "local" && hasLocalUploads(config) && (
+              <p className="create-note mt-2">
+                Uploaded files are kept in this browser, so only it can show them. Set <code>VITE_UPLOAD_ENDPOINT</code> to
+                upload them to a server instead.
+              </p>
+            )}
+          </div>
+        </main>
+
+        <section className="create-preview" aria-label="Preview">
+          <div className="create-tabs flex gap-2 mb-2" role="tablist">
+            {[
+              ["home", "Gift page"],
+              ["celebration", "Celebration"],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                role="tab"
+                aria-selected={tab === value}
+                className={`control-btn create-tab ${tab === value ? "create-tab-active" : ""}`}
+                onClick={() => setTab(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="create-preview-frame rounded-2xl shadow-2xl">
+            {preview ? (
+              <I18nProvider locale={preview.locale}>
+                <ThemeProvider theme={preview.theme}>
+                  {tab === "home" ? (
+                    <Home
+                      key={previewKey}
+                      {...homePropsFor(preview)}
+                      celebrationPath={null}
+                      preview
+                      onGiftClick={() => setTab("celebration")}
+                    />
+                  ) : (
+                    <Celebration
+                      key={previewKey}
+                      {...celebrationPropsFor(preview)}
+                      giftPath={null}
+                      onBackToGift={() => setTab("home")}
+                    />
+                  )}
+                </ThemeProvider>
+              </I18nProvider>
+            ) : (
+              <p className="create-preview-empty p-6 text-center text-sm">The preview appears once the required fields are filled in.</p>
+            )}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
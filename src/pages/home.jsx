@@ -1,204 +1,223 @@
 // home.jsx
 // Mobile-first responsive home / opening page for birthday surprise app.
-// Exports default Home component. Accepts prop `onGiftClick` (called after open animation completes).
-
-import React, { useEffect, useRef, useState } from "react";
-import { useNavigate } from "react-router-dom";
-
-export default function Home({ onGiftClick = () => {} }) {
-  // isOpening: false = idle/closed, true = opening/opened
-  const [isOpening, setIsOpening] = useState(false);
+// All visible strings come from the i18n layer (src/i18n); the root gets `dir` so RTL locales lay out correctly,
+// and `data-theme` so the colors (and confetti palette) follow the recipient's theme (src/themes).
+// Exports default Home component. Accepts props `onGiftClick` (called after the open animation completes),
+// `friendName` / `senderName` / `age` / `tagline` (from the recipient config; `tagline` is a template,
+// see src/lib/text.js) and `celebrationPath`, where to navigate once the gift is open (e.g. "/b/<slug>/celebration");
+// with `celebrationPath={null}` Home stays put and leaves it to `onGiftClick` (the builder's preview does this).
+// With a `revealAt` timestamp (ms, see src/lib/time.js) the gift stays locked behind a countdown until then,
+// unless `preview` is set (organizers, `?preview`); `clock` is injectable for testing the countdown.
+// `opener` picks what gets opened (gift box, cake, envelope, balloon, scratch card - see src/openers).
+// `song` ({ filename, start, playlist, shuffle, crossfade }, see src/audio/tracks.js) is the celebration's
+// song: under an AudioSessionProvider Home preloads it and starts it in the gift tap, so it keeps playing
+// into the celebration (src/audio/session.js).
+// Focus moves to the title when arriving from another page (lib/use-route-focus.js); a "reduce effects"
+// toggle turns the confetti and animations off (lib/motion.js).
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { fillTemplate, greetingVars } from "../lib/text.js";
+import { useI18n } from "../i18n/context.js";
+import { useTheme } from "../themes/context.js";
+import { usePrefersReducedMotion } from "../lib/motion.js";
+import { useConfetti } from "../confetti/use-confetti.js";
+import { useCountdown } from "../lib/use-countdown.js";
+import { formatInstant } from "../lib/time.js";
+import Countdown from "../components/countdown.jsx";
+import { openerFor } from "../openers/index.js";
+import { DEFAULT_OPENER } from "../openers/names.js";
+import { useTimeline } from "../lib/use-timeline.js";
+import { useAudioSession } from "../audio/context.js";
+import { useRouteFocus } from "../lib/use-route-focus.js";
+import ReduceEffectsToggle from "../components/reduce-effects-toggle.jsx";
+import { SONG_VOLUME, songTracks } from "../audio/tracks.js";
+
+// Confetti follows a beat after the opener starts opening
+const CONFETTI_DELAY_MS = 180;
+// Navigate anyway if the opener never reports that its animation finished
+const OPEN_FALLBACK_MS = 2600;
+
+// Confetti out of the opener: a tall, narrow cone with a few party emoji mixed in
+const GIFT_CONFETTI = {
+  count: 90,
+  spread: 55,
+  speed: [420, 900],
+  shapes: ["rect", "ribbon", "ribbon", "star", "circle", "🎉", "🎈"],
+};
+
+export default function Home({
+  onGiftClick = () => {},
+  friendName = "",
+  senderName = "",
+  age = null,
+  tagline,
+  celebrationPath = "/celebration",
+  revealAt = null,
+  revealTimeZone,
+  preview = false,
+  clock = Date.now,
+  opener = DEFAULT_OPENER,
+  song = null,
+}) {
   const [stylesLoaded, setStylesLoaded] = useState(false);
   const navigate = useNavigate();
-
-  // animatingRef prevents double clicks/taps while animation runs
-  const animatingRef = useRef(false);
-
-  // Refs to detect animation end and toggle confetti
-  const lidRef = useRef(null);
-  const confettiRef = useRef(null);
+  const location = useLocation();
+  const { t, dir, locale, ordinal } = useI18n();
+  // Keep ?lang= (and any other query) when moving on to the celebration
+  const celebrationTarget = celebrationPath === null ? null : `${celebrationPath}${location.search}`;
+
+  const vars = greetingVars({ name: friendName, sender: senderName, age }, ordinal);
+  const isGift = opener === DEFAULT_OPENER;
+  const Opener = openerFor(opener);
+  const openLabel = isGift ? (friendName ? t("home.openGiftNamed", vars) : t("home.openGift")) : t(`opener.${opener}.label`);
+  // A `tagline` from the recipient config overrides the translated default
+  const defaultTagline = isGift ? "home.tagline" : "home.taglineOpener";
+  const taglineText = tagline ? fillTemplate(tagline, vars) : t(friendName ? `${defaultTagline}Named` : defaultTagline, vars);
+
+  // Scheduled reveal: locked until revealAt, except in preview
+  const countdown = useCountdown(revealAt, { now: clock });
+  const locked = countdown.locked && !preview;
+  const revealDate = revealAt !== null ? formatInstant(revealAt, locale, revealTimeZone) : "";
+
+  // Confetti is drawn on a page-wide canvas
+  const theme = useTheme();
+  const reducedMotion = usePrefersReducedMotion();
+  const focusRef = useRouteFocus();
+  const confetti = useConfetti({ disabled: reducedMotion, colors: theme.confetti });
+
+  // The celebration's song: loaded while the recipient looks at the gift (not while it is
+  // still locked), started by the tap that opens it
+  const audioSession = useAudioSession();
+  const songTrackList = useMemo(() => (song ? songTracks(song) : null), [song]);
+  const songOptions = useMemo(() => song && { shuffle: song.shuffle, crossfade: song.crossfade, analyse: true }, [song]);
+  useEffect(() => {
+    if (audioSession && songTrackList?.length && !locked) audioSession.prepare(songTrackList, songOptions);
+  }, [audioSession, songTrackList, songOptions, locked]);
 
   // Styles are now loaded at main level, so set loaded immediately
   useEffect(() => {
     setStylesLoaded(true);
   }, []);
 
-  // Start opening sequence
-  function handleGiftClick() {
-    if (animatingRef.current) return;
-    animatingRef.current = true;
-    setIsOpening(true);
-
-    // Confetti burst slightly after the lid starts opening
-    setTimeout(() => {
-      confettiRef.current && confettiRef.current.classList.add("confetti-burst");
-    }, 180);
-
-    // Fallback timeout: ensure navigation happens even if animationend doesn't fire
-    const fallback = setTimeout(() => {
-      animatingRef.current = false;
-      onGiftClick();
-      navigate('/celebration');
-    }, 2600);
-
-    // Listen to lid animation end
-    const lid = lidRef.current;
-    if (lid) {
-      const onAnimEnd = (e) => {
-        // Ensure we respond only to our lid animation
-        if (e.animationName === "lidFlipOpen") {
-          clearTimeout(fallback);
-          animatingRef.current = false;
-          onGiftClick();
-          navigate('/celebration');
-        }
-      };
-      lid.addEventListener("animationend", onAnimEnd, { once: true });
-    }
+  // Opening choreography (lib/timeline.js): a beat, the confetti, then wait for the
+  // opener's onDone (or OPEN_FALLBACK_MS at most) and move on to the celebration.
+  // The timeline stops on unmount, so a page that's already gone never navigates.
+  const originRef = useRef(null);
+  const openedRef = useRef(null);
+  const openingSteps = useMemo(
+    () => [
+      { name: "opening", duration: CONFETTI_DELAY_MS },
+      { name: "confetti", until: () => openedRef.current.promise, duration: OPEN_FALLBACK_MS - CONFETTI_DELAY_MS },
+      { name: "opened" },
+    ],
+    []
+  );
+  const { step: openingStep, timeline: openingTimeline } = useTimeline(openingSteps, {
+    autoplay: false,
+    onStep: ({ name }) => {
+      if (name === "confetti") confetti.burst({ from: originRef.current, ...GIFT_CONFETTI });
+      if (name === "opened") {
+        onGiftClick();
+        if (celebrationTarget !== null) navigate(celebrationTarget);
+      }
+    },
+  });
+  // isOpening: false = idle/closed, true = opening/opened
+  const isOpening = openingStep !== null;
+
+  // Start opening sequence (the opener's onStart); `origin` is where the confetti comes from
+  function handleGiftClick(origin) {
+    // Ignore taps while locked or once the gift is already opening
+    if (locked || !openingTimeline || openingTimeline.current !== null) return;
+    originRef.current = origin;
+    // Still inside the tap: the one moment the song may start without a prompt
+    if (audioSession && songTrackList?.length) audioSession.prime(songTrackList, songOptions, { volume: SONG_VOLUME });
+    let resolve;
+    const promise = new Promise((r) => (resolve = r));
+    openedRef.current = { promise, resolve };
+    openingTimeline.play();
   }
 
-  // Generate deterministic confetti pieces for layout
-  const confettiPieces = Array.from({ length: 14 }).map((_, i) => {
-    const dx = (i % 2 === 0 ? -1 : 1) * (16 + i * 6);
-    const dy = -100 - i * 10;
-    const rot = (i * 43) % 360;
-    const delay = `${(i * 45) % 340}ms`;
-    const w = `${6 + (i % 3) * 2}px`;
-    const h = `${8 + (i % 2) * 4}px`;
-    const bg = ["#fde68a", "#fca5a5", "#93c5fd", "#f0abfc", "#6ee7b7"][i % 5];
-    return { dx, dy, rot, delay, w, h, bg, idx: i };
-  });
+  // The opener's onDone: its animation finished, move on without waiting for the fallback
+  function finishOpening() {
+    openedRef.current?.resolve();
+  }
 
   // Show loading state until styles are loaded
   if (!stylesLoaded) {
     return (
-      <div className="home-root w-full min-h-screen flex items-center justify-center relative overflow-hidden px-3 sm:px-4 md:px-6 py-6 sm:py-8">
+      <div dir={dir} lang={locale} data-theme={theme.name} className="home-root w-full min-h-screen flex items-center justify-center relative overflow-hidden px-3 sm:px-4 md:px-6 py-6 sm:py-8">
         <div className="bg-animated-gradient absolute inset-0 -z-10" />
         <div className="text-center">
-          <div className="text-white text-xl font-bold">Loading...</div>
+          <div className="text-white text-xl font-bold">{t("home.loading")}</div>
         </div>
       </div>
     );
   }
 
   return (
-    <div className="home-root w-full min-h-screen flex items-center justify-center relative overflow-hidden px-3 sm:px-4 md:px-6 py-6 sm:py-8">
+    <div dir={dir} lang={locale} data-theme={theme.name} className="home-root w-full min-h-screen flex items-center justify-center relative overflow-hidden px-3 sm:px-4 md:px-6 py-6 sm:py-8">
       {/* Animated gradient background */}
       <div className="bg-animated-gradient absolute inset-0 -z-10" />
 
       <div className="max-w-screen-sm sm:max-w-screen-md w-full flex flex-col items-center text-center">
         {/* Title (mobile-first sizes; scales up using responsive utilities) */}
         <h1
+          ref={focusRef}
+          tabIndex={-1}
           className="home-title font-extrabold tracking-tight mb-2 sm:mb-3"
           style={{
             // fallback fonts for decorative serif look on larger screens
             fontFamily: "Inter, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, Georgia",
           }}
         >
-          <span className="block text-gold text-xl xs:text-2xl sm:text-3xl md:text-4xl lg:text-5xl">Happy</span>
-          <span className="block text-white text-2xl xs:text-3xl sm:text-4xl md:text-6xl lg:text-7xl -mt-0.5 sm:-mt-1">Birthday!</span>
+          <span className="block text-gold text-xl xs:text-2xl sm:text-3xl md:text-4xl lg:text-5xl">
+            {vars.ageOrdinal ? t("home.titleTopAge", vars) : t("home.titleTop")}
+          </span>
+          <span className="block text-white text-2xl xs:text-3xl sm:text-4xl md:text-6xl lg:text-7xl -mt-0.5 sm:-mt-1">{t("home.titleBottom")}</span>
         </h1>
 
         <p className="mb-4 sm:mb-6 text-xs xs:text-sm sm:text-base md:text-lg text-white/85 max-w-prose px-1 sm:px-2 leading-relaxed">
-          A tiny surprise — tap the gift to reveal the magic.
+          {taglineText}
         </p>
 
-        {/* Gift container: responsive by CSS variable --gift-size */}
-        <div
-          className={`gift-wrap relative flex items-center justify-center`}
-          style={{ width: "100%", maxWidth: "420px", margin: "0 auto" }}
-        >
-          {/* Soft shadow under the gift */}
-          <div
-            className={`gift-shadow absolute bottom-0 w-3/4 h-3 rounded-full transition-opacity`}
-            aria-hidden
+        <div className={`opener-stage w-full ${locked ? "opener-locked" : ""}`}>
+          <Opener
+            opening={isOpening}
+            locked={locked}
+            label={openLabel}
+            onStart={handleGiftClick}
+            onDone={finishOpening}
           />
+        </div>
 
-          {/* Box body: tap target */}
-          <div
-            className={`box-body relative z-10 rounded-2xl shadow-xl touch-manipulation`}
-            role="button"
-            aria-pressed={isOpening}
-            onClick={handleGiftClick}
-            title="Open gift"
-            tabIndex={0}
-            onKeyDown={(e) => {
-              if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                handleGiftClick();
-              }
-            }}
-          >
-            {/* Vertical ribbon */}
-            <div className="ribbon-vertical absolute left-1/2 -translate-x-1/2" />
-
-            {/* Horizontal ribbon */}
-            <div className="ribbon-horizontal absolute top-1/2 -translate-y-1/2" />
-
-            {/* Bow */}
-            <div className="bow absolute -top-6 z-20 pointer-events-none">
-              <div className="bow-loop left-loop" />
-              <div className="bow-loop right-loop" />
-              <div className="bow-knot" />
-            </div>
-
-
-            {/* Idle bounce overlay (only while not opening) */}
-            <div className={`idle-bounce absolute inset-0 pointer-events-none ${isOpening ? "" : "gift-idle"}`} />
+        {/* Hint / CTA, or the countdown while the gift is locked */}
+        {locked ? (
+          <Countdown remaining={countdown} until={revealDate} />
+        ) : (
+          <div className="mt-4 sm:mt-6 text-xs xs:text-sm sm:text-base text-white/75 max-w-sm mx-auto px-2">
+            {isGift ? (
+              <>
+                <span className="block sm:hidden">{t("home.tipTouch")}</span>
+                <span className="hidden sm:block">{t("home.tipPointer")}</span>
+              </>
+            ) : (
+              t(`opener.${opener}.tip`)
+            )}
           </div>
+        )}
 
-          {/* Lid: separate element so we can animate flip */}
-          <div
-            ref={lidRef}
-            className={`box-lid absolute z-30 top-0 left-1/2 -translate-x-1/2 rounded-xl`}
-            // Add opening class so CSS can animate; using style here is acceptable but CSS class keeps it centralized.
-            style={isOpening ? {} : {}}
-            aria-hidden
-          />
-
-          {/* Large invisible overlay button for easier taps on mobile */}
-          <button
-            className="absolute inset-0 z-40 bg-transparent touch-manipulation min-h-[44px] min-w-[44px]"
-            onClick={handleGiftClick}
-            aria-label="Open gift"
-            disabled={animatingRef.current}
-          />
-
-          {/* Confetti container */}
-          <div
-            ref={confettiRef}
-            className="confetti-container absolute -top-6 z-40 pointer-events-none w-full h-full"
-            aria-hidden
-          >
-            {confettiPieces.map((p) => (
-              <div
-                key={p.idx}
-                className="confetti-piece absolute rounded-sm"
-                style={{
-                  width: p.w,
-                  height: p.h,
-                  background: p.bg,
-                  left: `${50 + (p.idx - 7) * 6}%`,
-                  top: "12%",
-                  transform: `translateZ(40px) rotate(${p.rot}deg)`,
-                  ["--dx"]: `${p.dx}px`,
-                  ["--dy"]: `${p.dy}px`,
-                  ["--r"]: `${p.rot}deg`,
-                  animationDelay: p.delay,
-                  opacity: 0,
-                }}
-              />
-            ))}
-          </div>
-        </div>
+        {preview && countdown.locked ? (
+          <div className="preview-badge mt-3 text-xs text-white/85">{t("home.previewBadge", { date: revealDate })}</div>
+        ) : null}
 
-        {/* Hint / CTA */}
-        <div className="mt-4 sm:mt-6 text-xs xs:text-sm sm:text-base text-white/75 max-w-sm mx-auto px-2">
-          <span className="block sm:hidden">Tip: Tap the gift</span>
-          <span className="hidden sm:block">Tip: Click or tap the gift to open</span>
-        </div>
+        <ReduceEffectsToggle className="mt-4 text-xs text-white/75" />
       </div>
 
+      {/* Confetti from the opener flies over the whole page */}
+      <canvas ref={confetti.ref} className="confetti-canvas absolute inset-0 w-full h-full z-40 pointer-events-none" aria-hidden />
+
       {/* Toggle CSS class for opening lid and confetti via class on body element for CSS selectors */}
       {/* We toggle by adding a class to document body to centralize animation selectors for responsiveness */}
       <OpeningClassHandler enabled={isOpening} />
@@ -0,0 +1,25 @@
+// not-found.jsx
+// 404 page for unknown routes and recipient slugs that have no config.
+
+import React from "react";
+import { useRouteFocus } from "../lib/use-route-focus.js";
+
+export default function NotFound({ slug }) {
+  const focusRef = useRouteFocus();
+
+  return (
+    <div className="home-root w-full min-h-screen flex items-center justify-center relative overflow-hidden px-3 sm:px-4 md:px-6 py-6 sm:py-8">
+      <div className="bg-animated-gradient absolute inset-0 -z-10" />
+      <main className="max-w-md w-full text-center">
+        <p className="text-gold text-5xl sm:text-6xl font-extrabold mb-2">404</p>
+        <h1 ref={focusRef} tabIndex={-1} className="text-white text-xl sm:text-2xl font-bold mb-3">This surprise doesn&apos;t exist</h1>
+        <p className="text-white/80 text-sm sm:text-base leading-relaxed">
+          {slug ? (
+            <>There is no birthday page for <code className="font-semibold">{slug}</code>. </>
+          ) : null}
+          Double-check the link you were sent.
+        </p>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// assets.js
+// The media a recipient's pages load (photo, gallery, song, playlist), as URLs for the
+// service worker to keep offline. Shared by the build (vite-plugin.js precaches the
+// default recipient) and the page (register.js, for whichever recipient is open), so it
+// stays free of browser and Vite APIs.
+//
+// Only files served by this site are listed: absolute URLs and in-browser uploads
+// (blob:/data:) are left out. Videos are skipped too - too big to keep around.
+
+import { assetUrl } from "../config/assets.js";
+import { songTracks } from "../audio/tracks.js";
+
+export function recipientAssetUrls(recipient) {
+  const urls = [
+    recipient.photo,
+    ...(recipient.gallery || []).flatMap((item) => [item.photo, item.poster]),
+  ].map(assetUrl);
+  songTracks({ filename: recipient.song, start: recipient.songStart, playlist: recipient.playlist }).forEach((track) =>
+    urls.push(track.src)
+  );
+  return [...new Set(urls.filter((url) => url.startsWith("/")))];
+}
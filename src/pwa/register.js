@@ -0,0 +1,32 @@
+// register.js
+// The page side of offline support (see service-worker.js): registers /sw.js in
+// production builds and asks it to keep the open recipient's media.
+
+import { recipientAssetUrls } from "./assets.js";
+
+// Not in the single-file export (scripts/export.js): it has no /sw.js and carries its media inline
+const supported = () =>
+  import.meta.env.PROD && import.meta.env.MODE !== "standalone" && typeof navigator !== "undefined" && "serviceWorker" in navigator;
+
+/** registerServiceWorker - once the page has loaded, so it doesn't compete with it. */
+export function registerServiceWorker() {
+  if (!supported()) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {
+      // no offline support, the site works as before
+    });
+  });
+}
+
+/**
+ * precacheRecipient - have the worker download `recipient`'s photo and songs for
+ * offline use (files it already has are skipped).
+ */
+export function precacheRecipient(recipient) {
+  if (!supported()) return;
+  const urls = recipientAssetUrls(recipient);
+  if (!urls.length) return;
+  navigator.serviceWorker.ready.then((registration) => {
+    registration.active?.postMessage({ type: "precache", urls });
+  });
+}
@@ -0,0 +1,143 @@
+// service-worker.js
+// Keeps the surprise working offline. Not bundled: the build (vite-plugin.js) emits it
+// as /sw.js with `self.__PRECACHE` defined on top:
+//   { version, shell: [urls], media: [urls] }
+//
+// Caches:
+//  - birthday-shell-<version>: index.html, the hashed JS/CSS, the manifest and icons and
+//    the Tailwind CDN script. Every build gets a new version; caches of older versions
+//    are dropped when the new worker activates. The worker doesn't skip waiting, so a
+//    page keeps the stylesheets it started with until every tab of it is closed.
+//  - birthday-media-v1: recipient photos and songs, shared across versions so a new
+//    deploy doesn't download the song again. Renaming a file is how to replace it.
+//
+// Pages are network-first (a fresh index.html always points at the current CSS) and
+// fall back to the cached shell offline. Everything else in the caches is cache-first;
+// media honours Range requests from <audio> by slicing the cached file.
+
+const { version, shell, media } = self.__PRECACHE;
+const SHELL_CACHE = `birthday-shell-${version}`;
+const MEDIA_CACHE = "birthday-media-v1";
+const CACHE_PREFIX = "birthday-";
+const INDEX_URL = "/index.html";
+// Absolute, so "https://cdn.tailwindcss.com" matches the request for ".../"
+const SHELL_URLS = new Set(shell.map((url) => new URL(url, self.location.href).href));
+
+const isSameOrigin = (url) => new URL(url, self.location.href).origin === self.location.origin;
+
+// Add what isn't cached yet; a missing file is skipped rather than failing the rest
+async function addMissing(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  await Promise.all(
+    urls.map(async (url) => {
+      if (await cache.match(url)) return;
+      try {
+        const response = await fetch(url);
+        if (response.ok) await cache.put(url, response);
+      } catch {
+        // offline or gone; tried again on the next precache
+      }
+    })
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      // The site's own files have to be complete: a half-cached shell would break styles offline
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(shell.filter(isSameOrigin));
+      // Cross-origin scripts (the Tailwind CDN) come back opaque, like for the page's
+      // <script>; addAll refuses those, and a CDN hiccup shouldn't stop the install
+      await Promise.all(
+        shell
+          .filter((url) => !isSameOrigin(url))
+          .map((url) =>
+            fetch(new Request(url, { mode: "no-cors" }))
+              .then((response) => cache.put(url, response))
+              .catch(() => {})
+          )
+      );
+      await addMissing(MEDIA_CACHE, media);
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== MEDIA_CACHE)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// The page asks for the media of the recipient it shows (register.js precacheRecipient)
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "precache" && Array.isArray(event.data.urls)) {
+    event.waitUntil(addMissing(MEDIA_CACHE, event.data.urls));
+  }
+});
+
+// A 206 for `request`'s Range out of a full cached response
+async function rangeResponse(request, response) {
+  const blob = await response.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("range") || "");
+  if (!match || (match[1] === "" && match[2] === "")) return new Response(blob, { headers: response.headers });
+  let start;
+  let end;
+  if (match[1] === "") {
+    start = Math.max(0, blob.size - Number(match[2]));
+    end = blob.size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+  }
+  if (start >= blob.size || start > end) {
+    return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || blob.type,
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(end - start + 1),
+      "Accept-Ranges": "bytes",
+    },
+  });
+}
+
+async function fromNetworkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(INDEX_URL, { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function fromCacheFirst(request) {
+  const cached = await caches.match(request.url);
+  if (cached) return request.headers.has("range") ? rangeResponse(request, cached) : cached;
+  return fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (request.mode === "navigate") {
+    event.respondWith(fromNetworkFirst(request));
+    return;
+  }
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (SHELL_URLS.has(url.href) || (sameOrigin && url.pathname.startsWith("/assets/"))) {
+    event.respondWith(fromCacheFirst(request));
+  }
+});
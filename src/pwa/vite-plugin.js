@@ -0,0 +1,66 @@
+// vite-plugin.js
+// pwa() - the build side of offline support. Emits /sw.js: service-worker.js with the
+// lists it precaches defined on top (self.__PRECACHE):
+//  - shell: index.html, every file of the bundle, the manifest and icons, the Tailwind CDN
+//  - media: the default recipient's photo and songs (pwa/assets.js) found in public/assets
+//  - version: a hash of all that, naming this build's shell cache
+// Build only; the dev server registers no worker (see register.js), nor does the export.
+
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { RECIPIENT_EXTENSIONS, parseRecipientSource } from "../config/parse.js";
+import { recipientAssetUrls } from "./assets.js";
+
+const WORKER_SOURCE = new URL("./service-worker.js", import.meta.url);
+const STATIC_SHELL = ["index.html", "manifest.webmanifest", "icon.svg", "vite.svg"];
+const TAILWIND_CDN = "https://cdn.tailwindcss.com";
+// Same fallback as src/config/recipients.js
+const FALLBACK_RECIPIENT = "tushar";
+
+// The raw config of `slug` from src/recipients, or null (missing or unparsable: its page
+// shows the problem, the worker just has no media to precache)
+function readRecipient(root, slug) {
+  for (const ext of RECIPIENT_EXTENSIONS) {
+    const filename = `${slug}.${ext}`;
+    const file = join(root, "src/recipients", filename);
+    if (!existsSync(file)) continue;
+    try {
+      return parseRecipientSource(filename, readFileSync(file, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+export function pwa() {
+  let config;
+  return {
+    name: "birthday-pwa",
+    // Not for the single-file export (mode "standalone", see scripts/export.js)
+    apply: (_, { command, mode }) => command === "build" && mode !== "standalone",
+    configResolved(resolved) {
+      config = resolved;
+    },
+    generateBundle(_, bundle) {
+      const base = config.base;
+      const shell = [
+        ...new Set([...STATIC_SHELL, ...Object.keys(bundle)].map((fileName) => `${base}${fileName}`)),
+        TAILWIND_CDN,
+      ];
+      const recipient = readRecipient(config.root, config.env.VITE_DEFAULT_RECIPIENT || FALLBACK_RECIPIENT);
+      const media = recipient
+        ? recipientAssetUrls(recipient).filter((url) => existsSync(join(config.publicDir, url)))
+        : [];
+      const source = readFileSync(WORKER_SOURCE, "utf8");
+      const version = createHash("sha256").update(JSON.stringify({ shell, media, source })).digest("hex").slice(0, 12);
+
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: `self.__PRECACHE = ${JSON.stringify({ version, shell, media })};\n\n${source}`,
+      });
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// codec.js
+// Packs a whole recipient config into a URL-safe token and back:
+// JSON -> deflate -> base64url, followed by a truncated HMAC-SHA256 signature.
+//
+//   "1.<payload>.<signature>"
+//
+// The signing secret ships with the app, so the signature catches links that were
+// cut off, mangled by a chat app or edited by hand - it does not stop a determined
+// forger. Uses only web platform APIs (CompressionStream, crypto.subtle), so it also
+// runs in Node 20+.
+
+const VERSION = "1";
+// 16 bytes of HMAC are plenty to detect damage and keep the link short
+const SIGNATURE_BYTES = 16;
+
+/**
+ * ShareLinkError - a share token that can't be read: wrong format, unknown
+ * version, bad signature or a payload that doesn't decompress to JSON.
+ */
+export class ShareLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShareLinkError";
+  }
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function signature(payload, secret) {
+  if (!globalThis.crypto?.subtle) {
+    throw new ShareLinkError("share links need a secure context (https or localhost)");
+  }
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+  ]);
+  const mac = await crypto.subtle.sign("HMAC", key, encoder.encode(`${VERSION}.${payload}`));
+  return toBase64Url(new Uint8Array(mac, 0, SIGNATURE_BYTES));
+}
+
+/** encodeShare - config object -> signed, compressed token */
+export async function encodeShare(config, secret) {
+  const json = new TextEncoder().encode(JSON.stringify(config));
+  const payload = toBase64Url(await pipe(json, new CompressionStream("deflate-raw")));
+  return `${VERSION}.${payload}.${await signature(payload, secret)}`;
+}
+
+/**
+ * decodeShare - token -> config object (not yet validated against the schema).
+ * Throws ShareLinkError for anything that isn't an intact token.
+ */
+export async function decodeShare(token, secret) {
+  const [version, payload, sig, ...rest] = String(token).split(".");
+  if (rest.length || !payload || !sig) throw new ShareLinkError("the link is incomplete");
+  if (version !== VERSION) throw new ShareLinkError(`the link was made by a different version (${version})`);
+  if (sig !== (await signature(payload, secret))) {
+    throw new ShareLinkError("the link was changed or cut off after it was created");
+  }
+  try {
+    const json = await pipe(fromBase64Url(payload), new DecompressionStream("deflate-raw"));
+    return JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new ShareLinkError("the link's contents could not be read");
+  }
+}
@@ -0,0 +1,82 @@
+// stores.js
+// Where the builder (/create) keeps a config it shares. Every store has the same shape:
+//
+//   { name, label, save(config) -> Promise<id>, load(id) -> Promise<config | null> }
+//
+// and a share link is /s/<store name>/<id>. Configs come back unvalidated; the
+// shared page runs them through validateRecipientConfig like any other config.
+//
+//  - link:   the whole config is the id (signed + compressed, see codec.js); nothing stored
+//  - local:  localStorage in this browser - handy for trying things out, not for sending
+//  - server: POST/GET JSON to VITE_SHARE_ENDPOINT, when one is configured
+
+import { decodeShare, encodeShare } from "./codec.js";
+
+// Not a real secret (it's in the bundle); see codec.js
+const SECRET = import.meta.env.VITE_SHARE_SECRET || "birthday-surprise";
+const LOCAL_PREFIX = "birthday:share:";
+
+function randomId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(9));
+  return Array.from(bytes, (b) => b.toString(36).padStart(2, "0")).join("");
+}
+
+export const linkStore = {
+  name: "link",
+  label: "In the link itself",
+  save: (config) => encodeShare(config, SECRET),
+  load: (id) => decodeShare(id, SECRET),
+};
+
+export const localStore = {
+  name: "local",
+  label: "This browser only",
+  async save(config) {
+    const id = randomId();
+    localStorage.setItem(LOCAL_PREFIX + id, JSON.stringify(config));
+    return id;
+  },
+  async load(id) {
+    const saved = localStorage.getItem(LOCAL_PREFIX + id);
+    return saved === null ? null : JSON.parse(saved);
+  },
+};
+
+/**
+ * httpStore - a store backed by any server that accepts `POST <endpoint>` with a
+ * JSON config (answering { id }) and serves it back from `GET <endpoint>/<id>`.
+ */
+export function httpStore(endpoint) {
+  return {
+    name: "server",
+    label: "On the server",
+    async save(config) {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(config),
+      });
+      if (!res.ok) throw new Error(`saving failed (${res.status})`);
+      return (await res.json()).id;
+    },
+    async load(id) {
+      const res = await fetch(`${endpoint}/${encodeURIComponent(id)}`);
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`loading failed (${res.status})`);
+      return res.json();
+    },
+  };
+}
+
+const endpoint = import.meta.env.VITE_SHARE_ENDPOINT;
+
+export const SHARE_STORES = [linkStore, localStore, ...(endpoint ? [httpStore(endpoint)] : [])];
+
+export function shareStore(name) {
+  return SHARE_STORES.find((store) => store.name === name) || null;
+}
+
+/** sharePath - the app path a saved config lives at */
+export function sharePath(store, id) {
+  return `/s/${store.name}/${encodeURIComponent(id)}`;
+}
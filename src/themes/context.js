@@ -0,0 +1,11 @@
+// context.js
+// Theme context + hook. Defaults to the classic theme so pages also render outside a provider.
+
+import { createContext, useContext } from "react";
+import { resolveTheme } from "./index.js";
+
+export const ThemeContext = createContext(resolveTheme());
+
+export function useTheme() {
+  return useContext(ThemeContext);
+}
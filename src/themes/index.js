@@ -0,0 +1,48 @@
+// index.js
+// Named themes. The colors themselves are CSS custom properties in themes.css
+// (one `[data-theme="<name>"]` block each); this file lists the themes for the
+// config schema and carries what JS needs directly, like the confetti palette and an
+// optional `reveal` map retiming the celebration's choreography (see lib/reveal.js).
+// Kept free of browser/Vite APIs so Node scripts can validate configs too.
+
+export const DEFAULT_THEME = "classic";
+
+export const THEMES = {
+  classic: {
+    label: "Classic",
+    confetti: ["#fde68a", "#fca5a5", "#93c5fd", "#f0abfc", "#6ee7b7", "#ffd6a5"],
+  },
+  neon: {
+    label: "Neon",
+    confetti: ["#22d3ee", "#f472b6", "#a3e635", "#facc15", "#c084fc", "#fb7185"],
+    // Snappy: everything lands on top of each other
+    reveal: { image: { duration: 260 }, heading: { duration: 240 }, typing: { duration: 700 } },
+  },
+  pastel: {
+    label: "Pastel",
+    confetti: ["#fbcfe8", "#bae6fd", "#d9f99d", "#fde68a", "#ddd6fe", "#fecdd3"],
+    // Unhurried: let the photo sit before the heading arrives
+    reveal: { init: { duration: 250 }, image: { duration: 700 }, heading: { duration: 500 } },
+  },
+  dark: {
+    label: "Dark",
+    confetti: ["#e5e7eb", "#fbbf24", "#94a3b8", "#f59e0b", "#cbd5e1", "#fde68a"],
+  },
+  corporate: {
+    label: "Corporate",
+    confetti: ["#1d4ed8", "#14b8a6", "#f8fafc", "#60a5fa", "#0f766e", "#cbd5e1"],
+    // Straight to the message
+    reveal: { typing: { duration: 600 } },
+  },
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
+
+/**
+ * resolveTheme - first candidate that names a known theme (e.g. `?theme=`, then
+ * the recipient config), falling back to DEFAULT_THEME. Returns { name, ...theme }.
+ */
+export function resolveTheme(...candidates) {
+  const name = candidates.find((c) => c && THEMES[c]) || DEFAULT_THEME;
+  return { name, ...THEMES[name] };
+}
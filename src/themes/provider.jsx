@@ -0,0 +1,12 @@
+// provider.jsx
+// Provides the theme named `theme` to everything below it (see useTheme). Pages put
+// `data-theme={theme.name}` on their root so the matching themes.css block applies.
+
+import React, { useMemo } from "react";
+import { ThemeContext } from "./context.js";
+import { resolveTheme } from "./index.js";
+
+export default function ThemeProvider({ theme, children }) {
+  const value = useMemo(() => resolveTheme(theme), [theme]);
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
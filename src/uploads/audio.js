@@ -0,0 +1,80 @@
+// audio.js
+// Prepares an uploaded song: the chosen segment is cut out, mixed down to mono at a
+// lower sample rate and saved as WAV (every browser can play it back). That keeps a
+// one-minute clip around 2.6 MB - about the size of the sample mp3 in public/assets.
+
+import { UploadError } from "./errors.js";
+
+export const MAX_AUDIO_INPUT_BYTES = 30 * 1024 * 1024;
+export const MAX_CLIP_SECONDS = 60;
+// Plenty for a birthday song on phone speakers
+const SAMPLE_RATE = 22050;
+// Short fades so the cut doesn't click
+const FADE_SECONDS = 0.03;
+
+/**
+ * encodeWav - mono Float32 samples (-1..1) -> 16-bit PCM WAV file contents.
+ */
+export function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const text = (offset, value) => [...value].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  text(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  text(8, "WAVE");
+  text(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // bytes per second
+  view.setUint16(32, 2, true); // bytes per frame
+  view.setUint16(34, 16, true); // bits per sample
+  text(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return buffer;
+}
+
+/** decodeAudio - uploaded File -> AudioBuffer, so the builder can offer a segment to keep */
+export async function decodeAudio(file) {
+  if (file.size > MAX_AUDIO_INPUT_BYTES) {
+    throw new UploadError(`"${file.name}" is larger than ${MAX_AUDIO_INPUT_BYTES / 1024 / 1024} MB`);
+  }
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  try {
+    return await ctx.decodeAudioData(await file.arrayBuffer());
+  } catch {
+    throw new UploadError(`"${file.name}" is not audio this browser can read`);
+  } finally {
+    ctx.close().catch(() => {});
+  }
+}
+
+/**
+ * trimAudio - the `duration` seconds of `audio` (an AudioBuffer) from `start` on, as a
+ * WAV Blob. The clip is capped at MAX_CLIP_SECONDS.
+ */
+export async function trimAudio(audio, { start = 0, duration = MAX_CLIP_SECONDS } = {}) {
+  const from = Math.max(0, Math.min(start, audio.duration));
+  const length = Math.min(duration, MAX_CLIP_SECONDS, audio.duration - from);
+  if (length <= 0) throw new UploadError("the chosen segment is empty");
+
+  const ctx = new OfflineAudioContext(1, Math.ceil(length * SAMPLE_RATE), SAMPLE_RATE);
+  const source = ctx.createBufferSource();
+  source.buffer = audio;
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0, 0);
+  gain.gain.linearRampToValueAtTime(1, FADE_SECONDS);
+  gain.gain.setValueAtTime(1, length - FADE_SECONDS);
+  gain.gain.linearRampToValueAtTime(0, length);
+  source.connect(gain).connect(ctx.destination);
+  source.start(0, from, length);
+
+  const rendered = await ctx.startRendering();
+  return new Blob([encodeWav(rendered.getChannelData(0), SAMPLE_RATE)], { type: "audio/wav" });
+}
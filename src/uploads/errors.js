@@ -0,0 +1,10 @@
+// errors.js
+// UploadError - a file the builder can't take (too big, wrong kind, unreadable).
+// The message is shown to the organizer as-is.
+
+export class UploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UploadError";
+  }
+}
@@ -0,0 +1,128 @@
+// image.js
+// Prepares an uploaded photo for the celebration: turned upright according to its EXIF
+// orientation, scaled down and re-encoded as JPEG. Re-encoding through a canvas also drops
+// the rest of the metadata (camera, GPS) - nothing of the original file is kept.
+
+import { UploadError } from "./errors.js";
+
+export const MAX_IMAGE_INPUT_BYTES = 25 * 1024 * 1024;
+// Longest edge after scaling; the photo frame never shows more than this
+const MAX_EDGE = 1600;
+const QUALITY = 0.85;
+
+/**
+ * readJpegInfo - { orientation (1-8), width, height } from a JPEG's EXIF block and
+ * frame header, as stored (before rotation). Anything that isn't a readable JPEG
+ * gives { orientation: 1, width: 0, height: 0 }.
+ */
+export function readJpegInfo(buffer) {
+  const view = new DataView(buffer);
+  const info = { orientation: 1, width: 0, height: 0 };
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return info;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if ((marker & 0xff00) !== 0xff00 || length < 2) break;
+    if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966 /* "Exif" */) {
+      info.orientation = readOrientation(view, offset + 10) || 1;
+    } else if (marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker)) {
+      // Start of frame: precision (1 byte), height, width
+      info.height = view.getUint16(offset + 5);
+      info.width = view.getUint16(offset + 7);
+      break;
+    }
+    offset += 2 + length;
+  }
+  return info;
+}
+
+function readOrientation(view, tiff) {
+  if (tiff + 8 > view.byteLength) return 0;
+  const little = view.getUint16(tiff) === 0x4949; // "II"
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  if (ifd + 2 > view.byteLength) return 0;
+  const entries = view.getUint16(ifd, little);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > view.byteLength) return 0;
+    if (view.getUint16(entry, little) === 0x0112) {
+      const value = view.getUint16(entry + 8, little);
+      return value >= 1 && value <= 8 ? value : 0;
+    }
+  }
+  return 0;
+}
+
+// Canvas transforms that turn a stored w x h image upright, per EXIF orientation
+function orient(ctx, orientation, w, h) {
+  switch (orientation) {
+    case 2: return ctx.transform(-1, 0, 0, 1, w, 0);
+    case 3: return ctx.transform(-1, 0, 0, -1, w, h);
+    case 4: return ctx.transform(1, 0, 0, -1, 0, h);
+    case 5: return ctx.transform(0, 1, 1, 0, 0, 0);
+    case 6: return ctx.transform(0, 1, -1, 0, h, 0);
+    case 7: return ctx.transform(0, -1, -1, 0, h, w);
+    case 8: return ctx.transform(0, -1, 1, 0, 0, w);
+    default: return undefined;
+  }
+}
+
+// Current browsers already show JPEGs upright (image-orientation: from-image); only
+// rotate by hand when this one handed us the stored, sideways pixels.
+function browserRotated(info, img) {
+  if (info.orientation === 1 || !info.width) return true;
+  // A quarter turn shows in the dimensions...
+  if (info.orientation >= 5 && info.width !== info.height) return img.naturalWidth === info.height;
+  // ...flips don't
+  return Boolean(globalThis.CSS?.supports?.("image-orientation", "from-image"));
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new UploadError(`"${file.name}" is not an image this browser can read`));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * processImage - uploaded File -> upright, scaled JPEG Blob.
+ * Throws UploadError for files that are too big or not images.
+ */
+export async function processImage(file) {
+  if (file.size > MAX_IMAGE_INPUT_BYTES) {
+    throw new UploadError(`"${file.name}" is larger than ${MAX_IMAGE_INPUT_BYTES / 1024 / 1024} MB`);
+  }
+  const info = readJpegInfo(await file.arrayBuffer());
+  const img = await loadImage(file);
+
+  const orientation = browserRotated(info, img) ? 1 : info.orientation;
+
+  const scale = Math.min(1, MAX_EDGE / Math.max(img.naturalWidth, img.naturalHeight));
+  const w = Math.round(img.naturalWidth * scale);
+  const h = Math.round(img.naturalHeight * scale);
+  const canvas = document.createElement("canvas");
+  canvas.width = orientation >= 5 ? h : w;
+  canvas.height = orientation >= 5 ? w : h;
+  const ctx = canvas.getContext("2d");
+  orient(ctx, orientation, w, h);
+  ctx.drawImage(img, 0, 0, w, h);
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new UploadError(`"${file.name}" could not be converted`))),
+      "image/jpeg",
+      QUALITY,
+    ),
+  );
+}
@@ -0,0 +1,119 @@
+// storage.js
+// Where the builder keeps uploaded photos and songs. A storage adapter has one method:
+//
+//   put(blob, { name }) -> Promise<ref>
+//
+// and the ref goes into the config wherever a filename would (photo, song, ...):
+//  - indexedDbStorage: "upload:<id>", kept in this browser's IndexedDB. Pages turn these
+//    into blob: URLs with resolveUploads() before rendering.
+//  - httpStorage(endpoint): POSTs the file and uses the URL the server answers with, so
+//    the config works anywhere. Used when VITE_UPLOAD_ENDPOINT is set.
+
+import { RECIPIENT_SCHEMA } from "../config/schema.js";
+import { UploadError } from "./errors.js";
+
+export const UPLOAD_PREFIX = "upload:";
+
+const DB_NAME = "birthday-uploads";
+const STORE = "files";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function transact(mode, run) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = run(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = tx.onabort = () => {
+      db.close();
+      reject(tx.error || new UploadError("the browser refused to store the file"));
+    };
+  });
+}
+
+export const indexedDbStorage = {
+  name: "indexeddb",
+  async put(blob, { name = "" } = {}) {
+    const id = crypto.randomUUID();
+    await transact("readwrite", (store) => store.put({ blob, name, savedAt: Date.now() }, id));
+    return UPLOAD_PREFIX + id;
+  },
+  async get(ref) {
+    const entry = await transact("readonly", (store) => store.get(ref.slice(UPLOAD_PREFIX.length)));
+    return entry ? entry.blob : null;
+  },
+};
+
+/**
+ * httpStorage - uploads to any server that accepts `POST <endpoint>` with the file as
+ * the body (Content-Type set, X-Filename header) and answers { url }.
+ */
+export function httpStorage(endpoint) {
+  return {
+    name: "server",
+    async put(blob, { name = "" } = {}) {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": blob.type || "application/octet-stream", "X-Filename": encodeURIComponent(name) },
+        body: blob,
+      });
+      if (!res.ok) throw new UploadError(`uploading failed (${res.status})`);
+      return (await res.json()).url;
+    },
+  };
+}
+
+const endpoint = import.meta.env.VITE_UPLOAD_ENDPOINT;
+
+export const uploadStorage = endpoint ? httpStorage(endpoint) : indexedDbStorage;
+
+/** hasLocalUploads - whether a config points at files only this browser has */
+export function hasLocalUploads(config) {
+  return JSON.stringify(config).includes(`"${UPLOAD_PREFIX}`);
+}
+
+// One blob: URL per upload for the lifetime of the page
+const objectUrls = new Map();
+
+async function objectUrl(ref) {
+  if (!objectUrls.has(ref)) {
+    const blob = await indexedDbStorage.get(ref);
+    if (!blob) return null;
+    objectUrls.set(ref, URL.createObjectURL(blob));
+  }
+  return objectUrls.get(ref);
+}
+
+async function resolveFields(value, fields, prefix) {
+  const resolved = { ...value };
+  for (const [key, rule] of Object.entries(fields)) {
+    const field = value[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (rule.type === "asset" && typeof field === "string" && field.startsWith(UPLOAD_PREFIX)) {
+      resolved[key] = await objectUrl(field);
+      if (!resolved[key]) throw new UploadError(`${path} was uploaded in a different browser and isn't available here`);
+    } else if (rule.type === "list" && Array.isArray(field)) {
+      resolved[key] = await Promise.all(field.map((item, i) => resolveFields(item, rule.of, `${path}[${i}]`)));
+    }
+  }
+  return resolved;
+}
+
+/**
+ * resolveUploads - a validated config with every "upload:" ref swapped for a blob: URL.
+ * Throws UploadError when an upload isn't in this browser's storage.
+ */
+export function resolveUploads(config) {
+  return hasLocalUploads(config) ? resolveFields(config, RECIPIENT_SCHEMA, "") : Promise.resolve(config);
+}